@@ -2,7 +2,7 @@ const chalk = require('chalk')
 const { expect } = require('chai')
 const { fetchUsers } = require('./fetchUsers')
 const { exec } = require('./exec')
-const { ethers } = require('ethers')
+const { poolAmounts } = require('./helpers/amounts')
 
 const OVERRIDES = {
   gasLimit: 6700000
@@ -21,14 +21,15 @@ async function burn(context) {
   const user1 = users[0].address
 
   const poolSai = contracts.PoolSai.connect(provider.getSigner(user1))
+  const { format, parse } = await poolAmounts(context, poolSai)
 
   const balanceBefore = await poolSai.balanceOf(user1)
-  console.log(chalk.dim(`Balance before: ${ethers.utils.formatEther(balanceBefore)}`))
+  console.log(chalk.dim(`Balance before: ${format(balanceBefore)}`))
 
-  await exec(provider, poolSai.burn(ethers.utils.parseEther('100'), OVERRIDES))
+  await exec(provider, poolSai.burn(parse('100'), OVERRIDES))
 
   const balanceAfter = await poolSai.balanceOf(user1)
-  console.log(chalk.dim(`Balance after: ${ethers.utils.formatEther(balanceAfter)}`))
+  console.log(chalk.dim(`Balance after: ${format(balanceAfter)}`))
 
   console.log(chalk.green('Done burn.'))
 }
@@ -7,55 +7,51 @@ const expect = chai.expect
 const {
   MULTISIG_ADMIN1
 } = require('./helpers/constants')
+const { poolConfig, poolContract } = require('./helpers/pools')
+const { fetchPoolEvents, replayPoolEvents } = require('./helpers/poolEvents')
+const { generateAll } = require('../utils/generateAll')
 
-function generateSecret(poolSeed, drawId) {
-  return ethers.utils.solidityKeccak256(
-    ['bytes32', 'uint256'],
-    [poolSeed, drawId]
-  )
-}
+/**
+ * Predicts the winners of the next draws from the draw state rebuilt from the pool events, so that no node call is needed per draw.
+ * @param options.fromBlock The block to replay events from.  Must be at or before the pool was created
+ */
+async function calculateWinners(context, type = 'sai', count = '10', keystore, options = {}) {
+  const {
+    fromBlock = '0'
+  } = options
 
-async function calculateWinners(context, type = 'sai', count = '10') {
   console.log(chalk.yellow(`Calculating next ${count} ${type} pool winners...`))
 
   count = parseInt(count, 10)
 
   const {
-    provider,
-    contracts
+    provider
   } = context
 
   const signer = provider.getSigner(MULTISIG_ADMIN1)
-  let pool
+  const pool = poolContract(context, type, signer)
+
+  console.log(chalk.dim(`Replaying ${type} pool events from block ${fromBlock}...`))
+  const drawManager = replayPoolEvents(await fetchPoolEvents(context, pool, fromBlock))
 
-  switch (type.toLowerCase()) {
-    case 'dai':
-      pool = contracts.PoolDai.connect(signer)
-      break
-    default:
-      pool = contracts.PoolSai.connect(signer)
+  const committedSupply = await pool.committedSupply()
+  if (committedSupply.toString() !== drawManager.committedSupply().toString()) {
+    throw new Error(`Replayed committed supply ${drawManager.committedSupply().toString()} does not match the pool's ${committedSupply.toString()}.  Is the from block before the pool was created?`)
   }
 
   let currentCommittedDrawId = await pool.currentCommittedDrawId()
 
-  let poolSeed = process.env.SECRET_SEED
-  let poolSaltSeed = process.env.SALT_SEED
-  if (!poolSeed || !poolSaltSeed) {
-    console.error('no seed or salt defined')
-    return
-  }
-
   for (let i = 0; i < count; i++) {
     currentCommittedDrawId = currentCommittedDrawId.add(ethers.utils.bigNumberify(i))
     // if no pool is committed
     if (currentCommittedDrawId.toString() === '0') {
       console.log(chalk.red('No draw is committed!'))
     } else {
-      let lastSecret = generateSecret(poolSeed, currentCommittedDrawId)
+      let { secret: lastSecret } = generateAll(keystore, poolConfig(type).key, pool.address, currentCommittedDrawId)
 
       let entropy = ethers.utils.solidityKeccak256(['bytes32'], [lastSecret])
 
-      let winner = await pool.calculateWinner(entropy)
+      let winner = ethers.utils.getAddress(drawManager.drawWithEntropy(entropy))
 
       console.log(chalk.green(`Draw ${currentCommittedDrawId.toString()}: ${winner}`))
     }
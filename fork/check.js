@@ -0,0 +1,232 @@
+const fs = require('fs')
+const chalk = require('chalk')
+const chai = require('chai')
+const expect = chai.expect
+const { ethers } = require('ethers')
+const { exec } = require('./exec')
+const { fetchUsers } = require('./fetchUsers')
+const { rewardAndOpen } = require('./rewardAndOpen')
+const { poolConfig, poolContract } = require('./helpers/pools')
+const { fetchEvents } = require('./helpers/poolEvents')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+const overrides = {
+  gasLimit: 2000000
+}
+
+// where the state snapshotted before an upgrade is saved
+const CHECK_PATH = '.check.json'
+
+/**
+ * Reads the state of a pool that an upgrade must not change.
+ * @param users The addresses whose balances are included
+ */
+async function snapshotPool(context, type, users, fromBlock) {
+  const {
+    provider,
+    artifacts
+  } = context
+
+  const pool = poolContract(context, type)
+  const blockNumber = await provider.getBlockNumber()
+
+  // admins can only be found through their events, so each one ever added is checked
+  const adminEvents = await fetchEvents(provider, [{ contract: pool, names: ['AdminAdded'] }], parseInt(fromBlock, 10), blockNumber)
+  const admins = {}
+  for (let i = 0; i < adminEvents.length; i++) {
+    const { admin } = adminEvents[i].values
+    admins[admin] = await pool.isAdmin(admin)
+  }
+
+  const balances = {}
+  for (let i = 0; i < users.length; i++) {
+    balances[users[i]] = {
+      total: (await pool.totalBalanceOf(users[i])).toString(),
+      committed: (await pool.committedBalanceOf(users[i])).toString(),
+      open: (await pool.openBalanceOf(users[i])).toString()
+    }
+  }
+
+  const poolToken = await pool.poolToken()
+  const tokenTotalSupply = poolToken === ZERO_ADDRESS
+    ? '0'
+    : (await new ethers.Contract(poolToken, artifacts.PoolToken.abi, provider).totalSupply()).toString()
+
+  return {
+    blockNumber,
+    state: {
+      accountedBalance: (await pool.accountedBalance()).toString(),
+      currentOpenDrawId: (await pool.currentOpenDrawId()).toString(),
+      admins,
+      poolToken,
+      paused: await pool.paused(),
+      lockDuration: (await pool.lockDuration()).toString(),
+      cooldownDuration: (await pool.cooldownDuration()).toString(),
+      tokenTotalSupply,
+      balances
+    }
+  }
+}
+
+/**
+ * Lists the differences between two snapshots as the paths of the values that changed.
+ */
+function compareState(before, after, path = '') {
+  if (typeof before !== 'object' || before === null || typeof after !== 'object' || after === null) {
+    return before === after ? [] : [{ path, before, after }]
+  }
+
+  const keys = Object.keys(before).concat(Object.keys(after).filter(key => !(key in before)))
+  return keys.reduce((differences, key) => differences.concat(compareState(before[key], after[key], path ? `${path}.${key}` : key)), [])
+}
+
+/**
+ * Withdraws a user's whole balance, then deposits it back into the open draw.
+ */
+async function withdrawAndDepositAgain(context, type, address) {
+  const {
+    provider,
+    artifacts
+  } = context
+
+  const signer = provider.getSigner(address)
+  const pool = poolContract(context, type, signer)
+  const token = new ethers.Contract(await pool.token(), artifacts.ERC20.abi, signer)
+
+  const balance = await pool.totalBalanceOf(address)
+  const tokenBalance = await token.balanceOf(address)
+
+  console.log(chalk.dim(`Withdrawing ${balance.toString()} for ${address}...`))
+  await exec(provider, pool.withdraw(overrides))
+  expect((await pool.totalBalanceOf(address)).toString()).to.equal('0')
+  expect((await token.balanceOf(address)).sub(tokenBalance).toString()).to.equal(balance.toString())
+
+  if (await pool.paused()) {
+    console.log(chalk.dim(`Skipping the deposit because ${type} deposits are paused`))
+    return
+  }
+
+  console.log(chalk.dim(`Depositing ${balance.toString()} for ${address}...`))
+  await exec(provider, token.approve(pool.address, balance, overrides))
+  await exec(provider, pool.depositPool(balance, overrides))
+  expect((await pool.openBalanceOf(address)).toString()).to.equal(balance.toString())
+}
+
+/**
+ * Rewards the committed draw and opens the next one, then checks the draw ids moved on.
+ */
+async function rewardAndCheck(context, type, keystore) {
+  const pool = poolContract(context, type)
+  const openDrawId = await pool.currentOpenDrawId()
+  const committedDrawId = await pool.currentCommittedDrawId()
+
+  await rewardAndOpen(context, type, keystore)
+
+  expect((await pool.currentOpenDrawId()).toString()).to.equal(openDrawId.add('1').toString())
+  expect((await pool.currentCommittedDrawId()).toString()).to.equal(openDrawId.toString())
+  if (!committedDrawId.isZero()) {
+    expect((await pool.getDraw(committedDrawId)).entropy).to.not.equal(ethers.constants.HashZero)
+  }
+}
+
+/**
+ * Snapshots the pools before an upgrade.
+ * @param options.count The number of top users whose balances are snapshotted
+ * @param options.fromBlock The block to read admin events from
+ * @param options.path Where to save the snapshot
+ */
+async function checkBefore(context, types, options = {}) {
+  const {
+    count = '10',
+    fromBlock = '0',
+    path = CHECK_PATH
+  } = options
+
+  console.log(chalk.yellow(`Snapshotting ${types.join(', ')} before the upgrade...`))
+
+  const snapshot = {}
+  for (let i = 0; i < types.length; i++) {
+    const { key } = poolConfig(types[i])
+    const users = (await fetchUsers(parseInt(count, 10), 0, key)).map(user => user.address)
+    snapshot[key] = await snapshotPool(context, key, users, fromBlock)
+    console.log(chalk.dim(`${key}: snapshotted ${users.length} users at block ${snapshot[key].blockNumber}`))
+  }
+
+  fs.writeFileSync(path, JSON.stringify(snapshot, null, 2))
+
+  console.log(chalk.green(`Saved the snapshot to ${path}.`))
+}
+
+/**
+ * Checks that the state snapshotted before the upgrade is unchanged, then that sampled users can still withdraw and
+ * deposit and that the pools can still be rewarded.
+ * @param options.sample The number of snapshotted users to withdraw and deposit again
+ * @param options.keystore The keystore holding the draw secrets.  The pools are not rewarded without it
+ * @param options.fromBlock The block to read admin events from
+ * @param options.path Where the snapshot was saved
+ */
+async function checkAfter(context, types, options = {}) {
+  const {
+    sample = '2',
+    keystore,
+    fromBlock = '0',
+    path = CHECK_PATH
+  } = options
+
+  if (!fs.existsSync(path)) {
+    throw new Error(`No snapshot found at ${path}.  Run 'yarn fork check before' ahead of the upgrade`)
+  }
+  const snapshot = JSON.parse(fs.readFileSync(path))
+
+  console.log(chalk.yellow(`Checking ${types.join(', ')} after the upgrade...`))
+
+  let failures = 0
+  for (let i = 0; i < types.length; i++) {
+    const { key } = poolConfig(types[i])
+    if (!snapshot[key]) {
+      throw new Error(`The snapshot at ${path} has no ${key} pool`)
+    }
+
+    const users = Object.keys(snapshot[key].state.balances)
+    const { state } = await snapshotPool(context, key, users, fromBlock)
+    const differences = compareState(snapshot[key].state, state)
+    differences.forEach(difference => {
+      console.log(chalk.red(`${key}: ${difference.path} changed from ${JSON.stringify(difference.before)} to ${JSON.stringify(difference.after)}`))
+    })
+    failures += differences.length
+
+    if (!differences.length) {
+      console.log(chalk.dim(`${key}: state is unchanged`))
+    }
+  }
+
+  if (failures) {
+    throw new Error(`${failures} values changed during the upgrade`)
+  }
+
+  for (let i = 0; i < types.length; i++) {
+    const { key } = poolConfig(types[i])
+    const users = Object.keys(snapshot[key].state.balances)
+      .filter(user => snapshot[key].state.balances[user].total !== '0')
+      .slice(0, parseInt(sample, 10))
+
+    for (let j = 0; j < users.length; j++) {
+      await withdrawAndDepositAgain(context, key, users[j])
+    }
+
+    if (keystore) {
+      await rewardAndCheck(context, key, keystore)
+    } else {
+      console.log(chalk.dim(`${key}: skipping the reward`))
+    }
+  }
+
+  console.log(chalk.green('Done check.'))
+}
+
+module.exports = {
+  compareState,
+  checkBefore,
+  checkAfter
+}
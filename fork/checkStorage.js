@@ -0,0 +1,81 @@
+const fs = require('fs')
+const chalk = require('chalk')
+const { Contracts, getStorageLayout } = require('@openzeppelin/upgrades')
+const { compareStorageLayouts } = require('../utils/storageLayout')
+
+const PROJECT_CONFIG = '.openzeppelin/project.json'
+
+// the layouts of the implementations the proxies currently use
+const DEPLOYED_CONFIG = '.openzeppelin/mainnet.json'
+
+function deployedLayout(networkConfig, name) {
+  const contract = networkConfig.contracts[name]
+  if (!contract || !contract.storage) {
+    throw new Error(`The storage layout of ${name} is not in the network config`)
+  }
+  return contract
+}
+
+// the OpenZeppelin network files record layouts in the same format, so the build is read the same way
+function buildLayout(artifactName) {
+  return getStorageLayout(Contracts.getFromLocal(artifactName))
+}
+
+/**
+ * Prints the storage changes an upgrade makes and throws if they move, retype or remove any variable.
+ */
+function assertUpgradeSafe(name, original, updated) {
+  const { errors, changes } = compareStorageLayouts(original, updated)
+
+  changes.forEach(change => console.log(chalk.dim(`${name}: ${change.message}`)))
+  errors.forEach(error => console.log(chalk.red(`${name}: ${error.message}`)))
+
+  if (errors.length) {
+    throw new Error(`Refusing to upgrade ${name}: its storage layout is not compatible with the deployed implementation`)
+  }
+}
+
+/**
+ * Checks that the storage layout of each contract in the build is compatible with the deployed one.  Structs are compared
+ * member by member, including those of libraries like DrawManager.State.
+ * @param names The contracts to check, as named in the network config.  Defaults to every contract in the project
+ * @param options.networkConfig The network config holding the deployed layouts
+ */
+async function checkStorage(names = [], options = {}) {
+  const {
+    networkConfig: networkConfigPath = DEPLOYED_CONFIG
+  } = options
+
+  const { contracts: artifactNames } = JSON.parse(fs.readFileSync(PROJECT_CONFIG))
+  const networkConfig = JSON.parse(fs.readFileSync(networkConfigPath))
+  if (!names.length) {
+    names = Object.keys(artifactNames)
+  }
+
+  console.log(chalk.yellow(`Checking the storage layouts of ${names.join(', ')} against ${networkConfigPath}...`))
+
+  const failed = []
+  names.forEach(name => {
+    const artifactName = artifactNames[name] || name
+    console.log(chalk.dim(`Checking ${name} (${artifactName})...`))
+    try {
+      assertUpgradeSafe(name, deployedLayout(networkConfig, name), buildLayout(artifactName))
+    } catch (e) {
+      console.log(chalk.red(e.message))
+      failed.push(name)
+    }
+  })
+
+  if (failed.length) {
+    throw new Error(`Incompatible storage layouts: ${failed.join(', ')}`)
+  }
+
+  console.log(chalk.green('Done check-storage.'))
+}
+
+module.exports = {
+  DEPLOYED_CONFIG,
+  deployedLayout,
+  assertUpgradeSafe,
+  checkStorage
+}
@@ -20,73 +20,226 @@ const { swapSaiToDai } = require('./swapSaiToDai')
 const { calculateWinners } = require('./calculateWinners')
 const { wards } = require('./wards')
 const { trace } = require('./trace')
+const { profile } = require('./profile')
 const { context } = require('./context')
 const { rollover } = require('./rollover')
 const { transfer } = require('./transfer')
 const { burn } = require('./burn')
+const { keeper } = require('./keeper')
+const { verifyDraw } = require('./verifyDraw')
+const { odds } = require('./odds')
+const { forecast, DEFAULT_INTERVAL } = require('./forecast')
+const { history } = require('./history')
+const { reconcile } = require('./reconcile')
+const { checkStorage } = require('./checkStorage')
+const { checkBefore, checkAfter } = require('./check')
+const {
+  proposeTransaction,
+  listTransactions,
+  showTransaction,
+  confirm,
+  revoke,
+  execute
+} = require('./multisig')
+const { indexPlayers } = require('./indexer')
+const {
+  openKeystore,
+  createKeystore,
+  unlockKeystore,
+  rotateKeystore
+} = require('./keystore')
+const { POOL_TYPES } = require('./helpers/pools')
+const { startDryRun, stopDryRun } = require('./helpers/dryRun')
+const { takeSnapshot, revertSnapshot, listSnapshots } = require('./snapshots')
+const { mine, advanceTo } = require('./mine')
+const { stopTraceProviders } = require('./traceProvider')
+
+const poolTypes = POOL_TYPES.join(' | ')
 
 const program = new commander.Command()
 program.description('Handles fork scripting.  Start a mainnet fork then run scripts against it.')
 program.option('-v --verbose', 'make all commands verbose', () => true)
 program.option('-f --force', 'force the OpenZeppelin push command', () => true)
 program.option('-m --mainnet', 'use mainnet')
+program.option('--trace', 'print a Solidity stack trace whenever a transaction, call or gas estimate reverts.  Every call is replayed as a transaction to trace it, so commands run slower')
+program.option('--dry-run', 'simulate every transaction on an evm_snapshot of the fork, printing the decoded call, gas estimate, events and any revert reason, then revert the snapshot')
 
 let ranAction = false
 
-async function callContext() {
-  return await context(program.verbose, program.mainnet)
+process.on('unhandledRejection', async (error) => {
+  console.error(chalk.red(error.message))
+  await stopDryRun()
+  process.exit(1)
+})
+
+/**
+ * Wraps a command's action, which commander does not wait for, so that the dry run and trace providers it started are
+ * stopped once it is done.  Otherwise the trace providers' block polling keeps the process from exiting.
+ */
+function action(fn) {
+  return async (...args) => {
+    try {
+      await fn(...args)
+    } finally {
+      await stopDryRun()
+      stopTraceProviders()
+    }
+  }
+}
+
+// commands that change the fork can snapshot it first, so that their changes can be reverted
+const SNAPSHOT_OPTION = ['--snapshot [name]', 'snapshot the fork before running, so that it can be restored with \'yarn fork revert\'.  Named block-<number> by default']
+
+/**
+ * @param cmd The command being run, whose --snapshot option is taken before any transaction is sent
+ */
+async function callContext(cmd = {}) {
+  const result = await context(program.verbose, program.mainnet, program.trace)
+  if (cmd.snapshot) {
+    await takeSnapshot(result, cmd.snapshot === true ? undefined : cmd.snapshot)
+  }
+  if (program.dryRun) {
+    await startDryRun(result)
+  }
+  return result
 }
 
 program
   .command('start')
-  .description('Starts a local node that is forked from mainnet.  Available on http://localhost:8546.  Copies .openzeppelin/mainnet.json to .openzeppelin/dev-999.json')
-  .action(async () => {
+  .description('Starts a local node that is forked from mainnet.  Available on http://localhost:8546 by default.  Copies .openzeppelin/mainnet.json to .openzeppelin/dev-<chain id>.json.  Options default to the settings in fork.config.json, or FORK_CONFIG_PATH')
+  .option('-b --fork-block [block]', 'the mainnet block to fork.  Defaults to the latest block')
+  .option('-p --port [port]', 'the port to serve the fork on.  Defaults to 8546')
+  .option('--chain-id [chainId]', 'the network id of the fork.  Defaults to 999')
+  .option('--accounts [path]', 'a JSON file listing more accounts to unlock')
+  .option('--indexed-accounts [count]', 'the number of largest players of each pool to unlock.  0 skips the indexer.  Defaults to 10')
+  .option('--db [path]', 'a directory to keep the fork in, so that restarting with the same directory resumes it')
+  .action(action(async (cmd) => {
     ranAction = true
-    await startFork()
-  })
+    await startFork({
+      forkBlock: cmd.forkBlock,
+      port: cmd.port,
+      chainId: cmd.chainId,
+      accounts: cmd.accounts,
+      indexedAccounts: cmd.indexedAccounts,
+      db: cmd.db
+    })
+  }))
 
 program
   .command('pay [count]')
   .description('transfers eth to the admin account on the fork.')
-  .action(async (count) => {
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (count, cmd) => {
     ranAction = true
     if (!count) {
       count = '5'
     }
-    await pay(await callContext(), count)
-  })
+    await pay(await callContext(cmd), count)
+  }))
 
 program
   .command('push')
   .description('pushes the latest contracts to the fork')
-  .action(async () => {
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (cmd) => {
     ranAction = true
+    if (program.dryRun) {
+      throw new Error('push deploys using the OpenZeppelin CLI, which --dry-run cannot simulate')
+    }
+    if (cmd.snapshot) {
+      await callContext(cmd)
+    }
     pushContracts()
-  })
+  }))
+
+program
+  .command('snapshot [name]')
+  .description('snapshots the fork and saves the snapshot under a name in .snapshots.json.  Defaults to block-<number>')
+  .action(action(async (name) => {
+    ranAction = true
+    await takeSnapshot(await callContext(), name)
+  }))
+
+program
+  .command('revert [name]')
+  .description('reverts the fork to a saved snapshot, which can be reverted to again.  Snapshots taken after it are lost.  Defaults to the latest snapshot')
+  .action(action(async (name) => {
+    ranAction = true
+    await revertSnapshot(await callContext(), name)
+  }))
+
+program
+  .command('snapshots')
+  .description('lists the saved snapshots and whether the running fork can still revert to them')
+  .action(action(async () => {
+    ranAction = true
+    await listSnapshots(await callContext())
+  }))
 
 program
   .command('upgrade-v2x')
   .description('Upgrades the Pool contract')
-  .action(async () => {
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (cmd) => {
     ranAction = true
-    await upgradeV2x(await callContext())
-  })
+    await upgradeV2x(await callContext(cmd))
+  }))
+
+program
+  .command('check-storage [names...]')
+  .description('checks that the storage layouts in the build are compatible with the deployed ones.  Names are contracts in the network config, such as PoolDai or PoolDaiToken.  Defaults to all of them')
+  .option('--network-config [path]', 'the network config with the deployed layouts', '.openzeppelin/mainnet.json')
+  .action(action(async (names, cmd) => {
+    ranAction = true
+    await checkStorage(names, { networkConfig: cmd.networkConfig })
+  }))
+
+program
+  .command('check <phase> [types...]')
+  .description(`run with 'before' to snapshot the pools ahead of an upgrade, then with 'after' to check the snapshotted state is unchanged and that withdrawals, deposits and rewards still work.  Types are any of ${poolTypes}.  Defaults to all of them`)
+  .option('-c --count [count]', 'the number of top users whose balances are snapshotted', '10')
+  .option('-s --sample [count]', 'the number of snapshotted users to withdraw and deposit again after the upgrade', '2')
+  .option('--no-reward', 'skip rewarding the pools after the upgrade, so that the keystore is not needed')
+  .option('--from-block [block]', 'the block to read admin events from', '0')
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (phase, types, cmd) => {
+    ranAction = true
+    if (!types.length) {
+      types = POOL_TYPES
+    }
+    if (phase === 'before') {
+      await checkBefore(await callContext(cmd), types, {
+        count: cmd.count,
+        fromBlock: cmd.fromBlock
+      })
+    } else if (phase === 'after') {
+      await checkAfter(await callContext(cmd), types, {
+        sample: cmd.sample,
+        keystore: cmd.reward ? await openKeystore() : undefined,
+        fromBlock: cmd.fromBlock
+      })
+    } else {
+      throw new Error(`Unknown phase '${phase}'.  Must be one of before | after`)
+    }
+  }))
 
 program
   .command('upgrade')
-  .description('Upgrade all contracts with the new deployed versions.  Should have pushed already.')
-  .action(async () => {
+  .description('Upgrade all contracts with the new deployed versions.  Should have pushed already.  Refuses to upgrade if any storage layout is not compatible with mainnet')
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (cmd) => {
     ranAction = true
-    await upgrade(await callContext())
-  })
+    await upgrade(await callContext(cmd))
+  }))
 
 program
   .command('migrate')
   .description('runs the migrate script')
-  .action(async () => {
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (cmd) => {
     ranAction = true
-    await migrateScript(await callContext())
-  })
+    await migrateScript(await callContext(cmd))
+  }))
 
 // program
 //   .command('deploy-dai')
@@ -98,8 +251,9 @@ program
 
 program
   .command('reward-open [type] [count]')
-  .description('reward and open the next draw [count] times. Type is one of sai | dai.  Defaults to sai')
-  .action(async (type, count) => {
+  .description(`reward and open the next draw [count] times. Type is one of ${poolTypes}.  Defaults to sai`)
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (type, count, cmd) => {
     ranAction = true
     if (!type) {
       type = 'sai'
@@ -107,70 +261,77 @@ program
     if (!count) {
       count = 1
     }
-    const c = await callContext()
+    const c = await callContext(cmd)
+    const keystore = await openKeystore()
     for (let i = 0; i < count; i++) {
-      await rewardAndOpen(c, type)
+      await rewardAndOpen(c, type, keystore)
     }
-  })
+  }))
 
 program
   .command('reward [type]')
-  .description('reward the next draw. Type is one of sai | dai.  Defaults to sai')
-  .action(async (type) => {
+  .description(`reward the next draw. Type is one of ${poolTypes}.  Defaults to sai`)
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (type, cmd) => {
     ranAction = true
     if (!type) {
       type = 'sai'
     }
-    const c = await callContext()
-    await reward(c, type)
-  })
+    const c = await callContext(cmd)
+    await reward(c, type, await openKeystore())
+  }))
 
 program
   .command('open [type]')
-  .description('open the next draw. Type is one of sai | dai.  Defaults to sai')
-  .action(async (type) => {
+  .description(`open the next draw. Type is one of ${poolTypes}.  Defaults to sai`)
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (type, cmd) => {
     ranAction = true
     if (!type) {
       type = 'sai'
     }
-    const c = await callContext()
-    await openNextDraw(c, type)
-  })
+    const c = await callContext(cmd)
+    await openNextDraw(c, type, await openKeystore())
+  }))
 
 program
   .command('rollover [type]')
-  .description('rollover and open the next draw. Type is one of sai | dai.  Defaults to sai')
-  .action(async (type) => {
+  .description(`rollover and open the next draw. Type is one of ${poolTypes}.  Defaults to sai`)
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (type, cmd) => {
     ranAction = true
     if (!type) {
       type = 'sai'
     }
-    const c = await callContext()
-    await rollover(c, type)
-  })
+    const c = await callContext(cmd)
+    await rollover(c, type, await openKeystore())
+  }))
 
 program
   .command('transfer')
   .description('transfer some sai between users.')
-  .action(async () => {
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (cmd) => {
     ranAction = true
-    const c = await callContext()
+    const c = await callContext(cmd)
     await transfer(c)
-  })
+  }))
 
 program
   .command('burn')
   .description('burn sai for the first user.')
-  .action(async () => {
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (cmd) => {
     ranAction = true
-    const c = await callContext()
+    const c = await callContext(cmd)
     await burn(c)
-  })
+  }))
 
 program
   .command('withdraw-deposit [type] [count]')
-  .description('tests withdrawals and deposits for top *count* users')
-  .action(async (type, count) => {
+  .description(`tests withdrawals and deposits for top *count* users. Type is one of ${poolTypes}.  Defaults to sai`)
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (type, count, cmd) => {
     ranAction = true
     if (!type) {
       type = 'sai'
@@ -178,14 +339,15 @@ program
     if (!count) {
       count = 5
     }
-    await withdrawAndDeposit(await callContext(), type, count)
-  })
+    await withdrawAndDeposit(await callContext(cmd), type, count)
+  }))
 
 
 program
   .command('winners [type] [count]')
-  .description('precalculate winners')
-  .action(async (type, count) => {
+  .description(`precalculate winners from the replayed pool events. Type is one of ${poolTypes}.  Defaults to sai`)
+  .option('--from-block [block]', 'the block to replay events from.  Must be at or before the pool was created', '0')
+  .action(action(async (type, count, cmd) => {
     ranAction = true
     if (!type) {
       type = 'sai'
@@ -193,67 +355,309 @@ program
     if (!count) {
       count = 5
     }
-    await calculateWinners(await callContext(), type, count)
-  })
+    await calculateWinners(await callContext(), type, count, await openKeystore(), {
+      fromBlock: cmd.fromBlock
+    })
+  }))
+
+program
+  .command('keeper [types...]')
+  .description(`runs the open, lock and reward cycle for each pool until stopped.  Types are any of ${poolTypes}.  Defaults to all of them`)
+  .option('-i --interval [blocks]', 'the number of blocks each draw stays open', '0')
+  .option('-p --poll [seconds]', 'the number of seconds between cycles', '15')
+  .option('--from [address]', 'the admin address that sends the transactions')
+  .option('--state [path]', 'the file that keeper progress is saved to', '.keeper.json')
+  .option('--once', 'run a single cycle then exit')
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (types, cmd) => {
+    ranAction = true
+    if (!types.length) {
+      types = POOL_TYPES
+    }
+    await keeper(await callContext(cmd), types, await openKeystore(), {
+      interval: cmd.interval,
+      poll: cmd.poll,
+      from: cmd.from,
+      statePath: cmd.state,
+      once: cmd.once
+    })
+  }))
+
+program
+  .command('keystore-create')
+  .description('creates an encrypted keystore holding the secret and salt seeds of each pool.  Set KEYSTORE_PATH to change its location from .keystore.json')
+  .option('-i --import', 'use SECRET_SEED and SALT_SEED as the seeds for every pool instead of generating new ones')
+  .option('-c --chain-id [chainId]', 'the chain id mixed into secrets derived from new seeds', '1')
+  .action(action(async (cmd) => {
+    ranAction = true
+    await createKeystore(cmd.import, cmd.chainId)
+  }))
+
+program
+  .command('keystore-unlock')
+  .description('checks the keystore password and lists the seed generations of each pool')
+  .action(action(async () => {
+    ranAction = true
+    await unlockKeystore()
+  }))
+
+program
+  .command('keystore-rotate [type]')
+  .description(`re-encrypts the keystore with a new password.  If a type is given, new seeds are generated for that pool starting with the next draw.  Type is one of ${poolTypes}`)
+  .option('-c --chain-id [chainId]', 'the chain id mixed into secrets derived from the new seeds', '1')
+  .action(action(async (type, cmd) => {
+    ranAction = true
+    await rotateKeystore(type ? await callContext() : null, type, cmd.chainId)
+  }))
 
 program
   .command('list')
   .description('list the top 10 users')
-  .action(async () => {
+  .action(action(async () => {
     ranAction = true
     await showUsers()
-  })
+  }))
 
 program
-  .command('trace [hash]')
-  .description('show a transaction trace for the given hash')
-  .action(async (hash) => {
+  .command('mine <blocks>')
+  .description('mines empty blocks on the fork, moving block timestamps forward to match')
+  .option('--seconds-per-block [seconds]', 'the seconds each block moves time forward by', '15')
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (blocks, cmd) => {
+    ranAction = true
+    await mine(await callContext(cmd), blocks, { secondsPerBlock: cmd.secondsPerBlock })
+  }))
+
+program
+  .command('advance-to <target> <type>')
+  .description(`mines blocks until the pool's lock or cooldown has ended.  Target is one of lock-end | cooldown-end.  Type is one of ${poolTypes}`)
+  .option('--seconds-per-block [seconds]', 'the seconds each block moves time forward by', '15')
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (target, type, cmd) => {
+    ranAction = true
+    await advanceTo(await callContext(cmd), target, type, { secondsPerBlock: cmd.secondsPerBlock })
+  }))
+
+program
+  .command('trace <hash>')
+  .description('decode a transaction and, if it reverted, show its revert reason and Solidity stack trace')
+  .action(action(async (hash) => {
     ranAction = true
     await trace(await callContext(), hash)
-  })
+  }))
+
+program
+  .command('profile <hash>')
+  .description('breaks down the gas a transaction used by call frame and contract function, using the source maps of the build')
+  .option('-c --count [count]', 'the number of functions to list', '20')
+  .option('-o --output [path]', 'write the folded stacks to a file, for flamegraph.pl or speedscope')
+  .option('--json', 'print every function as JSON')
+  .action(action(async (hash, cmd) => {
+    ranAction = true
+    await profile(await callContext(), hash, {
+      count: cmd.count,
+      output: cmd.output,
+      json: cmd.json
+    })
+  }))
 
 program
   .command('mint [type]')
-  .description('transfers dai to the top 10 users.  Type is one of sai | dai.  Defaults to sai')
-  .action(async (type) => {
+  .description(`transfers dai to the top 10 users.  Type is one of ${poolTypes}.  Defaults to sai`)
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (type, cmd) => {
     ranAction = true
     if (!type) {
       type = 'sai'
     }
-    await mint(await callContext(), type)
-  })
+    await mint(await callContext(cmd), type)
+  }))
 
 program
   .command('swap')
   .description('swaps sai to dai for the little sai buddy')
-  .action(async () => {
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (cmd) => {
     ranAction = true
-    await swapSaiToDai(await callContext())
-  })
+    await swapSaiToDai(await callContext(cmd))
+  }))
 
 program
   .command('wards')
   .description('Show whether the ScdMcdMigration contract is a ward for the SaiJoin')
-  .action(async () => {
+  .action(action(async () => {
     ranAction = true
     await wards(await callContext())
-  })
+  }))
 
 program
   .command('migrate-sai [count]')
   .description('migrates PoolSai for the top X users.')
-  .action(async (count) => {
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (count, cmd) => {
     ranAction = true
     if (!count) {
       count = '1'
     }
-    await migrateSai(await callContext(), count)
-  })
+    await migrateSai(await callContext(cmd), count)
+  }))
+
+program
+  .command('verify-draw <type> <drawId>')
+  .description(`replays the pool events to check that a rewarded draw was won fairly.  Needs no admin keys.  Type is one of ${poolTypes}`)
+  .option('--from-block [block]', 'the block to replay events from.  Must be at or before the pool was created', '0')
+  .option('--secret [secret]', 'the revealed secret, if it cannot be found in the reward transaction')
+  .option('--salt [salt]', 'the revealed salt, if it cannot be found in the reward transaction')
+  .option('--json', 'print the report as JSON')
+  .action(action(async (type, drawId, cmd) => {
+    ranAction = true
+    await verifyDraw(await callContext(), type, drawId, {
+      fromBlock: cmd.fromBlock,
+      secret: cmd.secret,
+      salt: cmd.salt,
+      json: cmd.json
+    })
+  }))
+
+program
+  .command('odds <type> <address>')
+  .description(`reports the odds of an address winning the committed and next draws.  Type is one of ${poolTypes}`)
+  .option('-d --deposit [amount]', 'also report the odds if this many more tokens were deposited')
+  .action(action(async (type, address, cmd) => {
+    ranAction = true
+    await odds(await callContext(), type, address, {
+      deposit: cmd.deposit
+    })
+  }))
+
+program
+  .command('forecast <type>')
+  .description(`projects the gross prize, fee and net prize of the next reward.  Type is one of ${poolTypes}`)
+  .option('-i --interval [blocks]', 'the number of blocks each draw stays open', DEFAULT_INTERVAL)
+  .option('-b --blocks [blocks]', 'the number of blocks until the reward, instead of working it out from the interval')
+  .option('--json', 'print the forecast as JSON')
+  .action(action(async (type, cmd) => {
+    ranAction = true
+    await forecast(await callContext(), type, {
+      interval: cmd.interval,
+      blocks: cmd.blocks,
+      json: cmd.json
+    })
+  }))
+
+program
+  .command('history <type> <address>')
+  .description(`reconstructs the deposits, withdrawals, wins, fees, transfers and migrations of an address as a ledger.  Type is one of ${poolTypes}`)
+  .option('-f --format [format]', 'one of table | csv | json', 'table')
+  .option('-o --output [path]', 'write the ledger to a file instead of printing it; needs --format csv or json')
+  .option('--from-block [block]', 'the block to read events from', '0')
+  .action(action(async (type, address, cmd) => {
+    ranAction = true
+    await history(await callContext(), type, address, {
+      format: cmd.format,
+      output: cmd.output,
+      fromBlock: cmd.fromBlock
+    })
+  }))
+
+program
+  .command('reconcile <type>')
+  .description(`checks the pool balance in Compound against the accounted balance, user balances and draw supplies.  Exits non-zero if any have drifted.  Type is one of ${poolTypes}`)
+  .option('-t --tolerance [amount]', 'the largest difference, in tokens, that is not reported as drift', '0')
+  .option('--from-block [block]', 'the block to read events from when finding users', '0')
+  .option('--json', 'print the report as JSON')
+  .action(action(async (type, cmd) => {
+    ranAction = true
+    await reconcile(await callContext(), type, {
+      tolerance: cmd.tolerance,
+      fromBlock: cmd.fromBlock,
+      json: cmd.json
+    })
+  }))
+
+program
+  .command('multisig-propose <contract> <method> [args...]')
+  .description('proposes a call to a contract in the network config, such as PoolDai, PoolDaiToken or ProxyAdmin, through the multisig.  Array arguments are passed as JSON')
+  .option('--from [address]', 'the multisig owner to propose as.  Defaults to MULTISIG_ADMIN1')
+  .option('--value [eth]', 'the ETH to send with the call', '0')
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (contract, method, args, cmd) => {
+    ranAction = true
+    await proposeTransaction(await callContext(cmd), contract, method, args, {
+      from: cmd.from,
+      value: cmd.value
+    })
+  }))
+
+program
+  .command('multisig-list')
+  .description('lists the multisig transactions that have not been executed')
+  .action(action(async () => {
+    ranAction = true
+    await listTransactions(await callContext())
+  }))
+
+program
+  .command('multisig-decode <id>')
+  .description('decodes a multisig transaction against the project ABIs, including the call made by an upgradeAndCall, and lists the implementations it changes')
+  .option('--json', 'print the decoded transaction as JSON')
+  .action(action(async (id, cmd) => {
+    ranAction = true
+    await showTransaction(await callContext(), id, { json: cmd.json })
+  }))
+
+program
+  .command('multisig-confirm <id>')
+  .description('confirms a multisig transaction.  The multisig executes it once it has enough confirmations')
+  .option('--from [address]', 'the multisig owner to confirm as.  Defaults to MULTISIG_ADMIN1')
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (id, cmd) => {
+    ranAction = true
+    await confirm(await callContext(cmd), id, { from: cmd.from })
+  }))
+
+program
+  .command('multisig-revoke <id>')
+  .description('revokes a confirmation of a multisig transaction')
+  .option('--from [address]', 'the multisig owner to revoke as.  Defaults to MULTISIG_ADMIN1')
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (id, cmd) => {
+    ranAction = true
+    await revoke(await callContext(cmd), id, { from: cmd.from })
+  }))
+
+program
+  .command('multisig-execute <id>')
+  .description('executes a confirmed multisig transaction whose call previously reverted')
+  .option('--from [address]', 'the multisig owner to execute as.  Defaults to MULTISIG_ADMIN1')
+  .option(...SNAPSHOT_OPTION)
+  .action(action(async (id, cmd) => {
+    ranAction = true
+    await execute(await callContext(cmd), id, { from: cmd.from })
+  }))
+
+program
+  .command('index [types...]')
+  .description(`indexes the players of each pool from its events into the local database used to find users.  Types are any of ${poolTypes}.  Defaults to all of them`)
+  .option('--rpc-url [url]', 'the JSON-RPC node to read events from.  Defaults to INDEXER_RPC_URL, then GANACHE_FORK_URL')
+  .option('--network-config [path]', 'the OpenZeppelin network file with the pool addresses', '.openzeppelin/mainnet.json')
+  .option('--from-block [block]', 'the block to start a new index from', '0')
+  .action(action(async (types, cmd) => {
+    ranAction = true
+    if (!types.length) {
+      types = POOL_TYPES
+    }
+    await indexPlayers(types, {
+      rpcUrl: cmd.rpcUrl,
+      networkConfig: cmd.networkConfig,
+      fromBlock: cmd.fromBlock
+    })
+  }))
 
 program
   .command('balances [type] [count]')
-  .description('Displays Pool balances for the top X users.   Type is one of sai | dai.  Defaults to sai')
-  .action(async (type, count) => {
+  .description(`Displays Pool balances for the top X users.   Type is one of ${poolTypes}.  Defaults to sai`)
+  .action(action(async (type, count) => {
     ranAction = true
     if (!type) {
       type = 'sai'
@@ -262,7 +666,7 @@ program
       count = 10
     }
     await poolBalances(await callContext(), type, count)
-  })
+  }))
 
 program.parse(process.argv)
 
@@ -1,10 +1,24 @@
 const { buildContext } = require('oz-console')
-// const { traceProvider } = require('./traceProvider')
-// const { ethers } = require('ethers')
+const { traceProvider } = require('./traceProvider')
+const { loadForkConfig, forkNetworkConfig } = require('./helpers/forkConfig')
+const { ethers } = require('ethers')
 
-async function context(verbose = false, mainnet = false) {
-  // const provider = new ethers.providers.Web3Provider(traceProvider({ rpcUrl: process.env.LOCALHOST_URL }))
+/**
+ * Sends everything through the sol-trace provider, so that reverts print a Solidity stack trace.
+ */
+function useTraceProvider(result, rpcUrl) {
+  const provider = new ethers.providers.Web3Provider(traceProvider({ rpcUrl }))
 
+  result.provider = provider
+  if (result.signer) {
+    result.signer = result.signer.connect(provider)
+  }
+  Object.keys(result.contracts || {}).forEach(name => {
+    result.contracts[name] = result.contracts[name].connect(result.signer || provider)
+  })
+}
+
+async function context(verbose = false, mainnet = false, trace = false) {
   let args = {
     projectConfig: '.openzeppelin/project.json',
     directory: 'build/contracts',
@@ -16,14 +30,22 @@ async function context(verbose = false, mainnet = false) {
     args.network = process.env.INFURA_PROVIDER_URL_MAINNET
     args.networkConfig = '.openzeppelin/mainnet.json'
   } else {
-    args.network = process.env.LOCALHOST_URL
-    args.networkConfig = '.openzeppelin/dev-999.json'
+    const forkConfig = loadForkConfig()
+    args.network = process.env.LOCALHOST_URL || `http://127.0.0.1:${forkConfig.port}`
+    args.networkConfig = forkNetworkConfig(forkConfig)
   }
 
   const result = buildContext(args)
+  result.rpcUrl = args.network
+  if (trace) {
+    useTraceProvider(result, args.network)
+  }
 
   result.reload = () => {
     Object.assign(result, buildContext(args))
+    if (trace) {
+      useTraceProvider(result, args.network)
+    }
   }
 
   return result
@@ -31,4 +53,4 @@ async function context(verbose = false, mainnet = false) {
 
 module.exports = {
   context
-}
\ No newline at end of file
+}
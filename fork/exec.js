@@ -1,5 +1,30 @@
-const assert = require('assert')
 const chalk = require('chalk')
+const { revertReason } = require('./helpers/revertReason')
+const { explainRevert } = require('./helpers/revertMessages')
+
+/**
+ * Replays a failed transaction with eth_call at the block it was mined in to recover its revert reason, which receipts
+ * do not include.
+ */
+async function replayRevertReason(provider, tx, receipt) {
+  const { from, to, data, value, gasLimit } = tx
+  try {
+    // some nodes return the Error(string) payload of a reverted call instead of failing it
+    const result = await provider.call({ from, to, data, value, gasLimit }, receipt.blockNumber)
+    return revertReason({ data: result })
+  } catch (e) {
+    return revertReason(e)
+  }
+}
+
+function logRevert(reason) {
+  console.error(chalk.red(`Reverted: ${reason}`))
+  const message = explainRevert(reason)
+  if (message) {
+    console.error(chalk.dim(message.explanation))
+    console.error(chalk.dim(`Fix: ${message.fix}`))
+  }
+}
 
 async function exec(provider, txPromise) {
   let tx, receipt
@@ -8,12 +33,27 @@ async function exec(provider, txPromise) {
     console.log(chalk.dim(`Transaction hash: ${tx.hash}`))
     await provider.waitForTransaction(tx.hash)
     receipt = await provider.getTransactionReceipt(tx.hash)
-    assert.equal(receipt.status, '1')
   } catch (e) {
     console.error(chalk.red(`Could not process ${tx ? tx.hash : 'tx failed badly'}`))
+    // ganache rejects transactions that revert, and ethers fails to estimate their gas, before any are mined
+    const reason = revertReason(e)
+    if (reason) {
+      logRevert(reason)
+      throw new Error(`Transaction reverted: ${reason}`)
+    }
     throw e
   }
 
+  if (receipt.status !== 1) {
+    console.error(chalk.red(`Could not process ${tx.hash}`))
+    const reason = await replayRevertReason(provider, tx, receipt)
+    if (reason) {
+      logRevert(reason)
+      throw new Error(`Transaction ${tx.hash} reverted: ${reason}`)
+    }
+    throw new Error(`Transaction ${tx.hash} failed and replaying it did not revert`)
+  }
+
   return {
     tx,
     receipt
@@ -21,5 +61,7 @@ async function exec(provider, txPromise) {
 }
 
 module.exports = {
-  exec
+  exec,
+  replayRevertReason,
+  logRevert
 }
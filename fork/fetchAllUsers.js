@@ -1,6 +1,6 @@
 const { fetchUsers } = require('./fetchUsers')
 
-async function fetchAllUsers() {
+async function fetchAllUsers(type = 'sai') {
   const pageSize = 1000
   let players = []
   let page = 0
@@ -9,7 +9,8 @@ async function fetchAllUsers() {
     page += 1
     let playersPage = await fetchUsers(
       pageSize,
-      pageSize * (page-1)
+      pageSize * (page-1),
+      type
     )
     players = players.concat(playersPage)
     hasMore = playersPage.length === pageSize
@@ -1,32 +1,26 @@
-const apolloFetch = require('apollo-fetch')
+const chalk = require('chalk')
+const { updateIndex, readIndex, indexedPlayers } = require('./indexer')
 
-var fetch = apolloFetch.createApolloFetch({ uri: process.env.GRAPHQL_MAINNET_ENDPOINT_URI });
-
-var playersWithBalanceQuery = `
-  query allPlayers($first: Int!, $skip: Int!) {
-    players (first: $first, skip: $skip, orderBy: consolidatedBalance, orderDirection: desc) {
-      id
-      address
-      consolidatedBalance
-      firstDepositDrawId
-      latestBalance
-      latestDrawId
+/**
+ * Lists the players of a pool with a balance, largest consolidated balance first, from the local event index as of the
+ * block 'yarn fork index' last brought it up to.  Only a pool that has not been indexed yet is indexed here, which needs a
+ * node; otherwise no node is contacted.
+ */
+async function fetchUsers(first = 10, skip = 0, type = 'sai') {
+  let index = readIndex(type)
+  if (index) {
+    console.log(chalk.dim(`Reading ${type} players indexed up to block ${index.lastBlock}.  Run 'yarn fork index' to update them`))
+  } else {
+    try {
+      index = await updateIndex(type)
+    } catch (e) {
+      throw new Error(`The ${type} pool has not been indexed and indexing it failed: ${e.message}`)
     }
   }
-`
-
-async function fetchUsers(first = 10, skip = 0) {
-  const result = await fetch({
-    query: playersWithBalanceQuery,
-    variables: {
-      first,
-      skip
-    }
-  })
 
-  return result.data.players
+  return indexedPlayers(index).slice(skip, skip + first)
 }
 
 module.exports = {
   fetchUsers
-}
\ No newline at end of file
+}
@@ -0,0 +1,105 @@
+const chalk = require('chalk')
+const { ethers } = require('ethers')
+const { poolConfig, poolContract } = require('./helpers/pools')
+const { poolAmounts } = require('./helpers/amounts')
+const { forecastPrize } = require('../utils/forecastPrize')
+
+// a week of 15 second blocks
+const DEFAULT_INTERVAL = '40320'
+
+// balance() accrues interest in the cToken so it is not a view; call it without sending a transaction
+async function poolBalance(provider, pool) {
+  const fn = pool.interface.functions.balance
+  return fn.decode(await provider.call({ to: pool.address, data: fn.encode([]) }))[0]
+}
+
+/**
+ * Projects the gross prize, fee and net prize of the next reward.
+ * @param options.interval The number of blocks each draw stays open; the reward is expected once the open draw has been open this long
+ * @param options.blocks The number of blocks until the reward, instead of working it out from the interval
+ * @param options.json Print the forecast as JSON instead of a table
+ * @return The forecast
+ */
+async function forecast(context, type, options = {}) {
+  const {
+    interval = DEFAULT_INTERVAL,
+    blocks,
+    json = false
+  } = options
+
+  const {
+    provider
+  } = context
+
+  const { key } = poolConfig(type)
+  const pool = poolContract(context, type)
+  const { format } = await poolAmounts(context, pool)
+
+  if (!json) {
+    console.log(chalk.yellow(`Forecasting the next ${key} prize...`))
+  }
+
+  const blockNumber = await provider.getBlockNumber()
+  let blocksLeft
+  if (blocks !== undefined) {
+    blocksLeft = parseInt(blocks, 10)
+  } else {
+    const openDraw = await pool.getDraw(await pool.currentOpenDrawId())
+    blocksLeft = Math.max(0, openDraw.openedBlock.toNumber() + parseInt(interval, 10) - blockNumber)
+  }
+
+  // the reward charges the fee fraction of the committed draw; the next fee fraction applies to draws opened later
+  const committedDrawId = await pool.currentCommittedDrawId()
+  const feeFraction = committedDrawId.isZero()
+    ? await pool.nextFeeFraction()
+    : (await pool.getDraw(committedDrawId)).feeFraction
+
+  const balance = await poolBalance(provider, pool)
+  const accountedBalance = await pool.accountedBalance()
+  const supplyRatePerBlock = await pool.supplyRatePerBlock()
+  const interestRate = await pool.estimatedInterestRate(blocksLeft)
+
+  const prize = forecastPrize({ balance, accountedBalance, interestRate, feeFraction })
+
+  const result = {
+    pool: key,
+    drawId: committedDrawId.toString(),
+    blockNumber,
+    blocksLeft,
+    rewardBlock: blockNumber + blocksLeft,
+    supplyRatePerBlock: ethers.utils.formatEther(supplyRatePerBlock),
+    feeFraction: ethers.utils.formatEther(feeFraction),
+    balance: format(balance),
+    accountedBalance: format(accountedBalance),
+    accrued: format(prize.accrued),
+    projected: format(prize.projected),
+    gross: format(prize.gross),
+    fee: format(prize.fee),
+    net: format(prize.net)
+  }
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2))
+  } else {
+    console.log(chalk.dim(`Draw ${result.drawId} is expected to be rewarded in ${blocksLeft} blocks, at block ${result.rewardBlock}`))
+    console.table({
+      'Supply rate per block': result.supplyRatePerBlock,
+      'Fee fraction': result.feeFraction,
+      'Balance': result.balance,
+      'Accounted balance': result.accountedBalance,
+      'Accrued interest': result.accrued,
+      'Projected interest': result.projected,
+      'Gross prize': result.gross,
+      'Fee': result.fee,
+      'Net prize': result.net
+    })
+    console.log(chalk.green('Done forecast.'))
+  }
+
+  return result
+}
+
+module.exports = {
+  DEFAULT_INTERVAL,
+  forecast
+}
@@ -0,0 +1,40 @@
+const { ethers } = require('ethers')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+function amounts(decimals) {
+  return {
+    decimals,
+    format: (amount) => ethers.utils.formatUnits(amount, decimals),
+    parse: (amount) => ethers.utils.parseUnits(amount.toString(), decimals)
+  }
+}
+
+async function tokenAmounts(context, tokenAddress) {
+  const {
+    provider,
+    artifacts
+  } = context
+
+  const token = new ethers.Contract(tokenAddress, artifacts.ERC20.abi, provider)
+
+  return amounts(await token.decimals())
+}
+
+/**
+ * Uses the decimals of the pool token if the pool has one, otherwise the decimals of the underlying ERC20.
+ */
+async function poolAmounts(context, pool) {
+  let tokenAddress = await pool.poolToken()
+  if (tokenAddress === ZERO_ADDRESS) {
+    tokenAddress = await pool.token()
+  }
+
+  return tokenAmounts(context, tokenAddress)
+}
+
+module.exports = {
+  amounts,
+  tokenAmounts,
+  poolAmounts
+}
@@ -0,0 +1,106 @@
+const { ethers } = require('ethers')
+const { generateAll } = require('../../utils/generateAll')
+const { generateHash, DERIVATIONS } = require('../../utils/generateHash')
+const { generateSecretHash } = require('../../utils/generateSecretHash')
+const { seedsFor } = require('../../utils/keystore')
+
+const ZERO_BYTES32 = '0x0000000000000000000000000000000000000000000000000000000000000000'
+
+// how many draws either side of the draw to search when diagnosing a mismatch
+const DRAW_ID_SEARCH_DISTANCE = 5
+
+function secretHashFor(seeds, drawId, derivation) {
+  try {
+    return generateSecretHash(
+      generateHash(seeds.secretSeed, drawId, derivation),
+      generateHash(seeds.saltSeed, drawId, derivation)
+    )
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Works out why the keystore does not reproduce the secret hash committed for a draw by searching the other derivation
+ * versions, nearby draw ids and the other seeds in the keystore.
+ */
+function diagnose(keystore, key, poolAddress, drawId, committedHash) {
+  let seeds = null
+  try {
+    seeds = seedsFor(keystore, key, drawId)
+  } catch (e) {
+    // the pool has no seeds for the draw; only the other pools' seeds can be searched
+  }
+  const version = seeds ? (seeds.version || 1) : 1
+
+  const derivationFor = (generation, derivationVersion) => ({
+    version: derivationVersion,
+    chainId: generation.chainId || 1,
+    poolAddress
+  })
+
+  if (seeds) {
+    const otherVersion = Object.keys(DERIVATIONS)
+      .map(v => parseInt(v, 10))
+      .find(v => v !== version && secretHashFor(seeds, drawId, derivationFor(seeds, v)) === committedHash)
+    if (otherVersion) {
+      return `different derivation version: the keystore records version ${version} for these seeds but draw ${drawId.toString()} was committed using version ${otherVersion}`
+    }
+
+    for (let distance = 1; distance <= DRAW_ID_SEARCH_DISTANCE; distance++) {
+      const candidates = [drawId.add(distance), drawId.sub(distance)].filter(id => id.gt('0'))
+      const match = candidates.find(id => secretHashFor(seeds, id, derivationFor(seeds, version)) === committedHash)
+      if (match) {
+        return `wrong draw id: the committed secret hash was derived for draw ${match.toString()}`
+      }
+    }
+  }
+
+  const pools = Object.keys(keystore.pools)
+  for (let i = 0; i < pools.length; i++) {
+    const generations = keystore.pools[pools[i]]
+    for (let j = 0; j < generations.length; j++) {
+      const generation = generations[j]
+      if (generation === seeds) {
+        continue
+      }
+      if (secretHashFor(generation, drawId, derivationFor(generation, generation.version || 1)) === committedHash) {
+        return `wrong seed: draw ${drawId.toString()} was committed using the ${pools[i]} seeds that apply from draw ${generation.fromDrawId}`
+      }
+    }
+  }
+
+  return `wrong seed: no seed in the keystore derives the secret hash committed for ${key} draw ${drawId.toString()}`
+}
+
+/**
+ * Compares the secret hash committed for the draw with the one derived from the keystore.  Throws with a diagnosis
+ * before any transaction is sent if they differ.
+ * @return The secret and salt to reveal
+ */
+async function checkDrawSecret(pool, keystore, key, drawId) {
+  drawId = ethers.utils.bigNumberify(drawId)
+
+  const draw = await pool.getDraw(drawId)
+  if (draw.secretHash === ZERO_BYTES32) {
+    throw new Error(`${key} draw ${drawId.toString()} has no committed secret hash`)
+  }
+
+  let derived
+  try {
+    derived = generateAll(keystore, key, pool.address, drawId)
+  } catch (e) {
+    throw new Error(`Cannot reward ${key} draw ${drawId.toString()}: ${e.message}`)
+  }
+
+  if (derived.secretHash !== draw.secretHash) {
+    const diagnosis = diagnose(keystore, key, pool.address, drawId, draw.secretHash)
+    throw new Error(`Cannot reward ${key} draw ${drawId.toString()}, the reward would fail with Pool/bad-secret. ${diagnosis}`)
+  }
+
+  return derived
+}
+
+module.exports = {
+  checkDrawSecret
+}
@@ -6,6 +6,7 @@ const MULTISIG_ADMIN2 = '0xed4B4AA039Cbb8A1A125cEB955765D8908E1D4c1'
 const POOL_PROXY_ADDRESS = '0xb7896fce748396EcFC240F5a0d3Cc92ca42D7d84'
 const SAI = '0x89d24a6b4ccb1b6faa2625fe562bdd9a23260359'
 const DAI = '0x6b175474e89094c44da98b954eedeac495271d0f'
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48'
 const SAI_JOIN = '0xad37fd42185ba63009177058208dd1be4b136e6b'
 const SCD_MCD_MIGRATION = '0xc73e0383F3Aff3215E6f04B0331D58CeCf0Ab849'
 const SAI_BUDDY = '0x93Be51Af76DC935779f774daD126f99FF9bf1988'
@@ -23,6 +24,7 @@ module.exports = {
   DAI_BUDDY,
   DAI,
   SAI,
+  USDC,
   SAI_JOIN,
   SCD_MCD_MIGRATION,
   MULTISIG,
@@ -0,0 +1,203 @@
+const fs = require('fs')
+const { ethers } = require('ethers')
+const MultisigAbi = require('../GnosisMultisigAbi')
+const { MULTISIG } = require('./constants')
+
+const PROJECT_CONFIG = '.openzeppelin/project.json'
+
+// the ProxyAdmin functions that point a proxy at a new implementation
+const UPGRADE_FUNCTIONS = ['upgrade', 'upgradeAndCall']
+
+/**
+ * Labels the multisig, the ProxyAdmin, and each proxy and implementation in the network config, with the name of the
+ * artifact whose ABI they use.
+ */
+function addressBook(context) {
+  const networkConfig = context.loadNetworkConfig()
+  const { contracts: artifactNames } = JSON.parse(fs.readFileSync(PROJECT_CONFIG))
+  const book = {}
+  const add = (address, entry) => { book[address.toLowerCase()] = entry }
+
+  add(MULTISIG, { label: 'Multisig', iface: new ethers.utils.Interface(MultisigAbi) })
+  if (networkConfig.proxyAdmin) {
+    add(networkConfig.proxyAdmin.address, { label: 'ProxyAdmin', artifact: 'ProxyAdmin', proxyAdmin: true })
+  }
+  Object.keys(networkConfig.contracts || {}).forEach(name => {
+    add(networkConfig.contracts[name].address, { label: `${name} implementation`, artifact: artifactNames[name] || name })
+  })
+  Object.keys(networkConfig.proxies || {}).forEach(key => {
+    const name = key.replace('pooltogether/', '')
+    networkConfig.proxies[key].forEach(proxy => {
+      add(proxy.address, { label: name, artifact: artifactNames[name] || name })
+    })
+  })
+
+  return book
+}
+
+function labelOf(book, address) {
+  const entry = book[address.toLowerCase()]
+  return entry ? entry.label : undefined
+}
+
+function formatValue(book, type, value) {
+  if (Array.isArray(value)) {
+    const elementType = type.replace(/\[\d*\]$/, '')
+    return value.map(element => formatValue(book, elementType, element))
+  }
+  if (ethers.utils.BigNumber.isBigNumber(value)) {
+    return value.toString()
+  }
+  if (type === 'address') {
+    const label = labelOf(book, value)
+    return label ? `${value} (${label})` : value
+  }
+  return value
+}
+
+function interfaceOf(context, entry) {
+  return entry.iface || context.interfaces[entry.artifact]
+}
+
+/**
+ * Decodes calldata sent to an address down to the function name and typed arguments.  Destinations are resolved against
+ * the network config; calldata to unknown addresses is matched against every project ABI.  The call passed to a
+ * ProxyAdmin.upgradeAndCall is decoded against the new implementation, and every upgrade is listed with the
+ * implementation it replaces.
+ * @param options.book The labelled addresses, from addressBook
+ * @param options.artifact The artifact to decode against instead of the one of the destination
+ * @return The decoded call.  Calldata that matches no ABI is returned with only the destination and data
+ */
+async function decodeCall(context, destination, data, options = {}) {
+  const {
+    book = addressBook(context),
+    artifact
+  } = options
+
+  const { interfaces, provider } = context
+  const entry = book[destination.toLowerCase()]
+  const result = {
+    to: destination,
+    label: entry ? entry.label : undefined,
+    data,
+    changes: []
+  }
+
+  const candidates = artifact || entry
+    ? [artifact ? { label: artifact, artifact } : entry]
+    : Object.keys(interfaces).map(name => ({ label: name, iface: interfaces[name] }))
+
+  let call, iface
+  for (let i = 0; i < candidates.length && !call; i++) {
+    iface = interfaceOf(context, candidates[i])
+    call = iface && ethers.utils.hexDataLength(data) >= 4 ? iface.parseTransaction({ data }) : null
+    result.abi = candidates[i].artifact || candidates[i].label
+  }
+  if (!call) {
+    delete result.abi
+    return result
+  }
+
+  const { inputs } = iface.functions[call.signature]
+  result.name = call.name
+  result.signature = call.signature
+  result.args = inputs.map((input, i) => ({
+    name: input.name,
+    type: input.type,
+    value: formatValue(book, input.type, call.args[i])
+  }))
+
+  if (entry && entry.proxyAdmin && UPGRADE_FUNCTIONS.indexOf(call.name) !== -1) {
+    const [proxy, implementation] = call.args
+    const proxyAdmin = new ethers.Contract(destination, interfaces.ProxyAdmin, provider)
+    result.changes.push({
+      proxy: labelOf(book, proxy) || proxy,
+      from: formatValue(book, 'address', await proxyAdmin.getProxyImplementation(proxy)),
+      to: formatValue(book, 'address', implementation)
+    })
+
+    if (call.name === 'upgradeAndCall') {
+      // the initializer runs through the proxy, against the new implementation
+      const implementationEntry = book[implementation.toLowerCase()] || book[proxy.toLowerCase()]
+      const nested = await decodeCall(context, proxy, call.args[2], {
+        book,
+        artifact: implementationEntry ? implementationEntry.artifact : undefined
+      })
+      result.args[2].call = nested
+      result.changes = result.changes.concat(nested.changes)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Decodes an event log against the ABI of the contract that emitted it, or against every project ABI if the contract is
+ * unknown.
+ * @return The decoded event, or undefined if the log matches no ABI
+ */
+function decodeLog(context, log, book = addressBook(context)) {
+  const { interfaces } = context
+  const entry = book[log.address.toLowerCase()]
+  const candidates = (entry && interfaceOf(context, entry) ? [interfaceOf(context, entry)] : [])
+    .concat(Object.keys(interfaces).map(name => interfaces[name]))
+
+  for (let i = 0; i < candidates.length; i++) {
+    let event
+    try {
+      event = candidates[i].parseLog(log)
+    } catch (e) {
+      // the same topic with a different number of indexed arguments
+      continue
+    }
+    if (event) {
+      return {
+        address: log.address,
+        label: entry ? entry.label : undefined,
+        name: event.name,
+        signature: event.signature,
+        args: candidates[i].events[event.signature].inputs.map((input, j) => ({
+          name: input.name,
+          type: input.type,
+          value: formatValue(book, input.type, event.values[j])
+        }))
+      }
+    }
+  }
+}
+
+function formatEvent(event) {
+  const args = event.args.map(arg => `${arg.name || '_'}: ${JSON.stringify(arg.value)}`)
+  return `${event.label || event.address}.${event.name}(${args.join(', ')})`
+}
+
+/**
+ * Formats a decoded call as indented lines, with nested calls under the argument that holds them.
+ */
+function formatCall(call, indent = '') {
+  if (!call.name) {
+    if (ethers.utils.hexDataLength(call.data) < 4) {
+      return [`${indent}${call.label || call.to}: no function call`]
+    }
+    return [`${indent}${call.label || call.to}: unknown function ${ethers.utils.hexDataSlice(call.data, 0, 4)}`, `${indent}  data: ${call.data}`]
+  }
+
+  let lines = [`${indent}${call.label || call.abi}.${call.signature}${call.label ? '' : ` at ${call.to}`}`]
+  call.args.forEach(arg => {
+    const value = arg.call ? '' : ` ${JSON.stringify(arg.value)}`
+    lines.push(`${indent}  ${arg.name || '_'} (${arg.type}):${value}`)
+    if (arg.call) {
+      lines = lines.concat(formatCall(arg.call, `${indent}    `))
+    }
+  })
+
+  return lines
+}
+
+module.exports = {
+  addressBook,
+  decodeCall,
+  formatCall,
+  decodeLog,
+  formatEvent
+}
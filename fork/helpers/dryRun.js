@@ -0,0 +1,118 @@
+const chalk = require('chalk')
+const { ethers } = require('ethers')
+const { addressBook, decodeCall, formatCall, decodeLog, formatEvent } = require('./decodeCall')
+const { revertReason } = require('./revertReason')
+
+let dryRun
+
+// the exit codes of processes ended by each signal
+const SIGNALS = {
+  SIGINT: 130,
+  SIGTERM: 143
+}
+
+// reverts the snapshot when the command is interrupted, which would otherwise keep the simulated transactions on the fork
+function onSignal(signal) {
+  stopDryRun().then(() => process.exit(SIGNALS[signal]), (error) => {
+    console.error(chalk.red(`Dry run: could not revert snapshot: ${error.message}`))
+    process.exit(SIGNALS[signal])
+  })
+}
+
+/**
+ * Simulates a transaction with eth_call and eth_estimateGas, then sends it on the snapshot so that the next one sees its
+ * changes, and prints the decoded call, gas estimate and events.  Throws the revert reason instead of sending a transaction
+ * that would revert.
+ */
+async function simulate(context, book, send, params) {
+  const { provider } = context
+  const tx = params[0]
+
+  dryRun.count += 1
+  const call = tx.to ? await decodeCall(context, tx.to, tx.data || '0x', { book }) : undefined
+  console.log(chalk.yellow(`Dry run #${dryRun.count} from ${tx.from}:`))
+  if (call) {
+    formatCall(call, '  ').forEach(line => console.log(chalk.dim(line)))
+  } else {
+    console.log(chalk.dim('  contract creation'))
+  }
+
+  try {
+    await send('eth_call', [tx, 'latest'])
+  } catch (e) {
+    const reason = revertReason(e) || e.message
+    console.log(chalk.red(`  reverts: ${reason}`))
+    throw new Error(`Dry run #${dryRun.count} reverts: ${reason}`)
+  }
+
+  const { gas, gasPrice, ...estimate } = tx
+  const gasEstimate = ethers.utils.bigNumberify(await send('eth_estimateGas', [estimate]))
+  console.log(chalk.dim(`  gas estimate: ${gasEstimate.toString()}`))
+
+  const hash = await send('eth_sendTransaction', params)
+  const receipt = await provider.waitForTransaction(hash)
+  receipt.logs.forEach(log => {
+    const event = decodeLog(context, log, book)
+    console.log(chalk.dim(`  emits ${event ? formatEvent(event) : `unknown event ${log.topics[0]} from ${log.address}`}`))
+  })
+
+  return hash
+}
+
+/**
+ * Takes an evm_snapshot and routes every transaction sent through the provider's signers through simulate.  The snapshot
+ * is reverted by stopDryRun, so nothing sent during the dry run is kept.
+ */
+async function startDryRun(context) {
+  const { provider } = context
+  if (dryRun) {
+    return
+  }
+
+  const send = provider.send.bind(provider)
+  let snapshotId
+  try {
+    snapshotId = await send('evm_snapshot', [])
+  } catch (e) {
+    throw new Error(`--dry-run needs a node that supports evm_snapshot, such as the fork started by 'yarn fork start': ${e.message}`)
+  }
+
+  const book = addressBook(context)
+  dryRun = { provider, snapshotId, send, count: 0 }
+  provider.send = (method, params) => {
+    if (method === 'eth_sendTransaction') {
+      return simulate(context, book, send, params)
+    }
+    if (method === 'eth_sendRawTransaction') {
+      return Promise.reject(new Error('--dry-run only simulates transactions sent from unlocked accounts'))
+    }
+    return send(method, params)
+  }
+
+  Object.keys(SIGNALS).forEach(signal => process.on(signal, onSignal))
+
+  console.log(chalk.yellow(`Dry run: transactions are simulated on snapshot ${snapshotId} and reverted afterwards`))
+}
+
+/**
+ * Reverts the snapshot taken by startDryRun, when the command is done or interrupted.
+ */
+async function stopDryRun() {
+  if (!dryRun) {
+    return
+  }
+
+  const { provider, snapshotId, send, count } = dryRun
+  dryRun = undefined
+  delete provider.send
+  // a second signal while reverting ends the process as usual
+  Object.keys(SIGNALS).forEach(signal => process.removeListener(signal, onSignal))
+  await send('evm_revert', [snapshotId])
+
+  console.log(chalk.green(`Dry run: reverted ${count} simulated transactions.`))
+}
+
+module.exports = {
+  startDryRun,
+  stopDryRun
+}
@@ -0,0 +1,66 @@
+const fs = require('fs')
+
+const FORK_DEFAULTS = {
+  // the mainnet block to fork.  Defaults to the latest block
+  forkBlock: undefined,
+  port: 8546,
+  chainId: 999,
+  gasLimit: 20000000,
+  // a JSON file listing more accounts to unlock
+  accounts: undefined,
+  // the number of largest players of each pool to unlock, found through the indexer
+  indexedAccounts: 10,
+  // the directory ganache keeps the fork's chain in, so that it outlives restarts
+  db: undefined
+}
+
+// written each time the fork starts, so that what was recorded against an earlier start can be told apart
+const FORK_STATE_PATH = '.fork.json'
+
+function forkConfigPath() {
+  return process.env.FORK_CONFIG_PATH || 'fork.config.json'
+}
+
+/**
+ * Reads the settings of the fork from the config file, falling back to the defaults.
+ * @param options Settings that take precedence over the config file, such as command line options.  Undefined ones are
+ * ignored
+ */
+function loadForkConfig(options = {}, path = forkConfigPath()) {
+  const file = fs.existsSync(path) ? JSON.parse(fs.readFileSync(path)) : {}
+  const config = { ...FORK_DEFAULTS, ...file }
+  Object.keys(options)
+    .filter(key => options[key] !== undefined)
+    .forEach(key => { config[key] = options[key] })
+  return config
+}
+
+/**
+ * The OpenZeppelin network file of the fork, which the OpenZeppelin CLI names after the chain id.
+ */
+function forkNetworkConfig(config = loadForkConfig()) {
+  return `.openzeppelin/dev-${config.chainId}.json`
+}
+
+/**
+ * Reads what the running fork was started with, or an empty object if no fork was started by 'yarn fork start'.
+ */
+function loadForkState(path = FORK_STATE_PATH) {
+  if (!fs.existsSync(path)) {
+    return {}
+  }
+  return JSON.parse(fs.readFileSync(path))
+}
+
+function saveForkState(state, path = FORK_STATE_PATH) {
+  fs.writeFileSync(path, JSON.stringify(state, null, 2))
+}
+
+module.exports = {
+  FORK_STATE_PATH,
+  forkConfigPath,
+  loadForkConfig,
+  forkNetworkConfig,
+  loadForkState,
+  saveForkState
+}
@@ -0,0 +1,152 @@
+const { ethers } = require('ethers')
+const MultisigAbi = require('../GnosisMultisigAbi')
+const { exec } = require('../exec')
+const { MULTISIG } = require('./constants')
+
+const overrides = {
+  gasLimit: 5000000
+}
+
+function multisigContract(context, from) {
+  const { provider } = context
+  return new ethers.Contract(MULTISIG, MultisigAbi, from ? provider.getSigner(from) : provider)
+}
+
+/**
+ * Converts a command line argument to the value ethers expects for the ABI type.  Arrays are passed as JSON.
+ */
+function parseArg(type, value) {
+  const array = type.match(/^(.*)\[\d*\]$/)
+  if (array) {
+    const values = typeof value === 'string' ? JSON.parse(value) : value
+    return values.map(element => parseArg(array[1], element))
+  }
+  if (type === 'bool') {
+    if (value === true || value === 'true') { return true }
+    if (value === false || value === 'false') { return false }
+    throw new Error(`${value} is not a bool`)
+  }
+  return value
+}
+
+/**
+ * Encodes a call to a project contract.
+ * @param contractName The name of the contract in the network config, such as PoolDai or ProxyAdmin
+ * @param method The function name, or its signature if it is overloaded
+ * @param args The arguments as strings, with arrays as JSON
+ * @return The destination and calldata
+ */
+function encodeCall(context, contractName, method, args = []) {
+  const contract = context.contracts[contractName]
+  if (!contract) {
+    throw new Error(`Unknown contract ${contractName}.  Must be one of ${Object.keys(context.contracts).join(' | ')}`)
+  }
+  const fn = contract.interface.functions[method]
+  if (!fn) {
+    throw new Error(`${contractName} has no function ${method}`)
+  }
+  if (fn.inputs.length !== args.length) {
+    throw new Error(`${fn.signature} takes ${fn.inputs.length} arguments but was given ${args.length}`)
+  }
+
+  return {
+    destination: contract.address,
+    data: fn.encode(fn.inputs.map((input, i) => parseArg(input.type, args[i])))
+  }
+}
+
+/**
+ * Reads a multisig transaction and who has confirmed it.
+ */
+async function fetchTransaction(context, id) {
+  const multisig = multisigContract(context)
+  const transaction = await multisig.transactions(id)
+  if (transaction.destination === ethers.constants.AddressZero) {
+    throw new Error(`Multisig transaction ${id} does not exist`)
+  }
+
+  return {
+    id: id.toString(),
+    destination: transaction.destination,
+    value: transaction.value,
+    data: transaction.data,
+    executed: transaction.executed,
+    confirmations: await multisig.getConfirmations(id),
+    required: await multisig.required()
+  }
+}
+
+/**
+ * Lists the ids of the multisig transactions that have not been executed.
+ */
+async function pendingTransactionIds(context) {
+  const multisig = multisigContract(context)
+  const count = await multisig.transactionCount()
+  return (await multisig.getTransactionIds(0, count, true, false)).map(id => id.toString())
+}
+
+function multisigEvents(multisig, receipt) {
+  return receipt.logs
+    .filter(log => log.address.toLowerCase() === multisig.address.toLowerCase())
+    .map(log => multisig.interface.parseLog(log))
+    .filter(event => event)
+}
+
+// the multisig executes the transaction as soon as it has enough confirmations
+function executionResult(multisig, receipt) {
+  const events = multisigEvents(multisig, receipt)
+  if (events.find(event => event.name === 'Execution')) {
+    return 'executed'
+  }
+  if (events.find(event => event.name === 'ExecutionFailure')) {
+    return 'failed'
+  }
+  return 'pending'
+}
+
+/**
+ * Submits a transaction to the multisig, which also confirms it for the submitter.
+ * @param from The multisig owner to send from
+ * @return The id of the multisig transaction and whether it executed
+ */
+async function submitTransaction(context, from, destination, data, value = 0) {
+  const multisig = multisigContract(context, from)
+  const { receipt } = await exec(context.provider, multisig.submitTransaction(destination, value, data, overrides))
+  const submission = multisigEvents(multisig, receipt).find(event => event.name === 'Submission')
+
+  return {
+    id: submission.values.transactionId.toString(),
+    result: executionResult(multisig, receipt)
+  }
+}
+
+async function confirmTransaction(context, from, id) {
+  const multisig = multisigContract(context, from)
+  const { receipt } = await exec(context.provider, multisig.confirmTransaction(id, overrides))
+  return executionResult(multisig, receipt)
+}
+
+async function revokeConfirmation(context, from, id) {
+  const multisig = multisigContract(context, from)
+  await exec(context.provider, multisig.revokeConfirmation(id, overrides))
+}
+
+/**
+ * Executes a confirmed transaction whose execution previously failed.
+ */
+async function executeTransaction(context, from, id) {
+  const multisig = multisigContract(context, from)
+  const { receipt } = await exec(context.provider, multisig.executeTransaction(id, overrides))
+  return executionResult(multisig, receipt)
+}
+
+module.exports = {
+  multisigContract,
+  encodeCall,
+  fetchTransaction,
+  pendingTransactionIds,
+  submitTransaction,
+  confirmTransaction,
+  revokeConfirmation,
+  executeTransaction
+}
@@ -0,0 +1,178 @@
+const { ethers } = require('ethers')
+const { createDrawManager } = require('../../utils/drawManager')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// the pool events that change the draw state
+const POOL_EVENTS = [
+  'Opened',
+  'Deposited',
+  'DepositedAndCommitted',
+  'Withdrawn',
+  'OpenDepositWithdrawn',
+  'CommittedDepositWithdrawn',
+  'Rewarded'
+]
+
+// the pool events that change a user's sponsorship and fee balance
+const SPONSORSHIP_EVENTS = [
+  'SponsorshipDeposited',
+  'SponsorshipAndFeesWithdrawn',
+  'FeeCollected'
+]
+
+// committed balances moved between users by the pool token
+const TOKEN_EVENTS = [
+  'Sent'
+]
+
+// the number of blocks requested in each getLogs call
+const BLOCK_RANGE = 100000
+
+async function fetchLogs(provider, contract, names, fromBlock, toBlock, indexedTopics = []) {
+  const topics = [names.map(name => contract.interface.events[name].topic)].concat(indexedTopics)
+  let events = []
+
+  for (let start = fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+    const end = Math.min(start + BLOCK_RANGE - 1, toBlock)
+    const logs = await provider.getLogs({
+      address: contract.address,
+      fromBlock: start,
+      toBlock: end,
+      topics
+    })
+    events = events.concat(logs.map(log => {
+      const { name, values } = contract.interface.parseLog(log)
+      return {
+        name,
+        values,
+        address: log.address,
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash
+      }
+    }))
+  }
+
+  return events
+}
+
+function compareEvents(a, b) {
+  return (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex)
+}
+
+/**
+ * Fetches the named events of each contract, in the order they were emitted.
+ * @param sources The contracts to fetch events from, each as { contract, names }.  A source may also filter on the indexed
+ * arguments by passing their topics as { topics }
+ */
+async function fetchEvents(provider, sources, fromBlock, toBlock) {
+  let events = []
+  for (let i = 0; i < sources.length; i++) {
+    const { contract, names, topics } = sources[i]
+    events = events.concat(await fetchLogs(provider, contract, names, fromBlock, toBlock, topics))
+  }
+
+  return events.sort(compareEvents)
+}
+
+/**
+ * Fetches every pool and pool token event that changes the draw state, in the order they were emitted.
+ * @param fromBlock Must be at or before the block the pool was created in
+ * @param toBlock Defaults to the latest block
+ */
+async function fetchPoolEvents(context, pool, fromBlock = 0, toBlock) {
+  const {
+    provider,
+    artifacts
+  } = context
+
+  fromBlock = parseInt(fromBlock, 10)
+  if (toBlock === undefined) {
+    toBlock = await provider.getBlockNumber()
+  }
+
+  const sources = [{ contract: pool, names: POOL_EVENTS }]
+
+  const tokenAddress = await pool.poolToken()
+  if (tokenAddress !== ZERO_ADDRESS) {
+    const poolToken = new ethers.Contract(tokenAddress, artifacts.PoolToken.abi, provider)
+    sources.push({ contract: poolToken, names: TOKEN_EVENTS })
+  }
+
+  return fetchEvents(provider, sources, fromBlock, toBlock)
+}
+
+/**
+ * Applies a pool event to a draw manager (see utils/drawManager) the way the pool applied it to its draw state.
+ */
+function applyPoolEvent(drawManager, event) {
+  const { values } = event
+  switch (event.name) {
+    case 'Opened':
+      drawManager.openNextDraw()
+      break
+    case 'Deposited':
+      drawManager.deposit(values.sender, values.amount.toString())
+      break
+    case 'DepositedAndCommitted':
+      drawManager.depositCommitted(values.sender, values.amount.toString())
+      break
+    case 'Withdrawn':
+      drawManager.withdraw(values.sender)
+      break
+    case 'OpenDepositWithdrawn':
+      drawManager.withdrawOpen(values.sender, values.amount.toString())
+      break
+    case 'CommittedDepositWithdrawn':
+      drawManager.withdrawCommitted(values.sender, values.amount.toString())
+      break
+    case 'Rewarded':
+      // the winnings are deposited into the open draw; rolled over draws have no winner
+      if (values.winner !== ZERO_ADDRESS && !values.winnings.isZero()) {
+        drawManager.deposit(values.winner, values.winnings.toString())
+      }
+      break
+    case 'Sent':
+      // mints and redeems are replayed through the pool events
+      if (values.from !== ZERO_ADDRESS && values.to !== ZERO_ADDRESS) {
+        drawManager.withdrawCommitted(values.from, values.amount.toString())
+        drawManager.depositCommitted(values.to, values.amount.toString())
+      }
+      break
+    default:
+      throw new Error(`Unknown pool event ${event.name}`)
+  }
+}
+
+/**
+ * Rebuilds the draw state of a pool from its events.
+ * @return A draw manager (see utils/drawManager)
+ */
+function replayPoolEvents(events) {
+  const drawManager = createDrawManager()
+  try {
+    events.forEach(event => applyPoolEvent(drawManager, event))
+  } catch (e) {
+    throw new Error(`Could not replay the pool events (${e.message}).  Are they fetched from before the pool was created?`)
+  }
+  return drawManager
+}
+
+/**
+ * Returns true if event a was emitted before event b
+ */
+function isBefore(a, b) {
+  return compareEvents(a, b) < 0
+}
+
+module.exports = {
+  POOL_EVENTS,
+  SPONSORSHIP_EVENTS,
+  TOKEN_EVENTS,
+  fetchEvents,
+  fetchPoolEvents,
+  applyPoolEvent,
+  replayPoolEvents,
+  isBefore
+}
@@ -0,0 +1,72 @@
+const {
+  SAI,
+  DAI,
+  USDC,
+  SAI_BUDDY,
+  DAI_BUDDY
+} = require('./constants')
+
+const POOLS = {
+  sai: {
+    key: 'sai',
+    pool: 'PoolSai',
+    token: 'PoolSaiToken',
+    decimals: 18,
+    cToken: '0xf5dce57282a584d2746faf1593d3121fcac444dc',
+    underlying: SAI,
+    whale: SAI_BUDDY
+  },
+  dai: {
+    key: 'dai',
+    pool: 'PoolDai',
+    token: 'PoolDaiToken',
+    decimals: 18,
+    cToken: '0x5d3a536e4d6dbd6114cc1ead35777bab948e3643',
+    underlying: DAI,
+    whale: DAI_BUDDY
+  },
+  usdc: {
+    key: 'usdc',
+    pool: 'PoolUsdc',
+    token: 'PoolUsdcToken',
+    decimals: 6,
+    cToken: '0x39aa39c021dfbae8fac545936693ac917d5e7563',
+    underlying: USDC
+  }
+}
+
+const POOL_TYPES = Object.keys(POOLS)
+
+function poolConfig(type) {
+  const config = POOLS[String(type).toLowerCase()]
+  if (!config) {
+    throw new Error(`Unknown pool type '${type}'.  Must be one of ${POOL_TYPES.join(' | ')}`)
+  }
+  return config
+}
+
+function poolContract(context, type, signer) {
+  const config = poolConfig(type)
+  const pool = context.contracts[config.pool]
+  if (!pool) {
+    throw new Error(`${config.pool} has not been deployed to this network`)
+  }
+  return signer ? pool.connect(signer) : pool
+}
+
+function poolTokenContract(context, type, signer) {
+  const config = poolConfig(type)
+  const token = context.contracts[config.token]
+  if (!token) {
+    throw new Error(`${config.token} has not been deployed to this network`)
+  }
+  return signer ? token.connect(signer) : token
+}
+
+module.exports = {
+  POOLS,
+  POOL_TYPES,
+  poolConfig,
+  poolContract,
+  poolTokenContract
+}
@@ -0,0 +1,29 @@
+const readline = require('readline')
+const { Writable } = require('stream')
+
+function promptPassword(message) {
+  process.stdout.write(message)
+
+  // swallow the echoed keystrokes so the password never reaches the terminal
+  const muted = new Writable({
+    write: (chunk, encoding, callback) => callback()
+  })
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: muted,
+    terminal: true
+  })
+
+  return new Promise((resolve) => {
+    rl.question('', (answer) => {
+      rl.close()
+      process.stdout.write('\n')
+      resolve(answer)
+    })
+  })
+}
+
+module.exports = {
+  promptPassword
+}
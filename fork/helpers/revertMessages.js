@@ -0,0 +1,237 @@
+/**
+ * Explanations of the revert reasons in the contracts, with what usually fixes them.
+ */
+const REVERT_MESSAGES = {
+  'Pool/owner-zero': {
+    explanation: 'The pool was initialized without an owner.',
+    fix: 'Pass a non-zero owner address to init.'
+  },
+  'Pool/ctoken-zero': {
+    explanation: 'The pool was initialized without a cToken.',
+    fix: 'Pass the cToken address to init.'
+  },
+  'Pool/token-was-set': {
+    explanation: 'The pool already has a pool token.',
+    fix: 'The pool token can only be set once; nothing needs doing.'
+  },
+  'Pool/token-mismatch': {
+    explanation: 'The pool token belongs to a different pool.',
+    fix: 'Initialize the pool token with this pool\'s address before setting it.'
+  },
+  'Pool/not-reward': {
+    explanation: 'The committed draw has not been rewarded, so the next draw cannot be opened.',
+    fix: 'Use rewardAndOpenNextDraw, or reward the committed draw first.'
+  },
+  'Pool/bad-secret': {
+    explanation: 'The secret and salt do not hash to the committed draw\'s secret hash.',
+    fix: 'Check the keystore holds the secret of the committed draw, with \'yarn fork verify-draw\'.'
+  },
+  'Pool/t-fail': {
+    explanation: 'The token transfer into the pool failed.',
+    fix: 'Check the sender\'s token balance and that the pool is approved to spend it.'
+  },
+  'Pool/approve': {
+    explanation: 'The pool could not approve the cToken to spend its tokens.',
+    fix: 'Check the token contract; this should not happen with Sai or Dai.'
+  },
+  'Pool/supply': {
+    explanation: 'Compound refused to mint cTokens for the deposit.',
+    fix: 'Check that the Compound market is not paused and that the pool holds the tokens.'
+  },
+  'Pool/exceeds-sfee': {
+    explanation: 'The amount is more than the sender\'s sponsorship and fees.',
+    fix: 'Withdraw at most sponsorshipAndFeeBalanceOf the sender.'
+  },
+  'Pool/no-funds': {
+    explanation: 'The amount is more than the sender\'s balance.',
+    fix: 'Withdraw at most totalBalanceOf the sender.'
+  },
+  'Pool/redeem': {
+    explanation: 'Compound refused to redeem the cTokens.',
+    fix: 'Check that the Compound market has enough cash to cover the withdrawal.'
+  },
+  'Pool/transfer': {
+    explanation: 'The token transfer out of the pool failed.',
+    fix: 'Check the token contract and the recipient.'
+  },
+  'Pool/less-1': {
+    explanation: 'The fee fraction is more than 1 ether (100%).',
+    fix: 'Pass a fee fraction as an 18 decimal fixed point number of at most 1 ether.'
+  },
+  'Pool/not-zero': {
+    explanation: 'The address must not be zero.',
+    fix: 'Pass a non-zero address.'
+  },
+  'Pool/no-admin': {
+    explanation: 'The address to remove is not an admin.',
+    fix: 'Check the address against isAdmin.'
+  },
+  'Pool/remove-self': {
+    explanation: 'Admins cannot remove themselves.',
+    fix: 'Send the transaction from another admin.'
+  },
+  'Pool/committed': {
+    explanation: 'There is no committed draw to reward.',
+    fix: 'Open a second draw first; the first draw is committed when the next one opens.'
+  },
+  'Pool/already': {
+    explanation: 'The committed draw has already been rewarded.',
+    fix: 'Open the next draw with openNextDraw.'
+  },
+  'Pool/locked': {
+    explanation: 'The pool is locked for the reward, so withdrawals and transfers are paused.',
+    fix: 'Reward the pool, or wait for the lock to end.'
+  },
+  'Pool/unlocked': {
+    explanation: 'The pool must be locked before it is rewarded.',
+    fix: 'Call lockTokens before rewarding, and reward before the lock ends.'
+  },
+  'Pool/admin': {
+    explanation: 'The sender is not a pool admin.',
+    fix: 'Send the transaction from an admin, or through the multisig.'
+  },
+  'Pool/no-open': {
+    explanation: 'There is no open draw.',
+    fix: 'Open the first draw with openNextDraw.'
+  },
+  'Pool/d-not-paused': {
+    explanation: 'Deposits are not paused.',
+    fix: 'Only unpause deposits after pausing them.'
+  },
+  'Pool/d-paused': {
+    explanation: 'Deposits are paused.',
+    fix: 'Unpause deposits with unpauseDeposits.'
+  },
+  'Pool/only-token': {
+    explanation: 'Only the pool token can call this function.',
+    fix: 'Call the pool token instead.'
+  },
+  'Pool/exceed': {
+    explanation: 'The amount is more than the user\'s balance in the draws.',
+    fix: 'Withdraw at most the user\'s committed and open balance.'
+  },
+  'Pool/ineligible': {
+    explanation: 'The winning token index is beyond the committed supply.',
+    fix: 'Check the committed supply is not zero when drawing.'
+  },
+  'Pool/no-commit': {
+    explanation: 'There is no committed draw.',
+    fix: 'Open a second draw first; the first draw is committed when the next one opens.'
+  },
+  'Pool/init': {
+    explanation: 'The Sai to Dai migration has already been set up.',
+    fix: 'The migration can only be initialized once; nothing needs doing.'
+  },
+  'Pool/mig-def': {
+    explanation: 'The Sai to Dai migration contract address is zero.',
+    fix: 'Pass the ScdMcdMigration address.'
+  },
+  'Pool/sai-only': {
+    explanation: 'Only the Sai pool token can send tokens to the Dai pool.',
+    fix: 'Send the Sai pool tokens to the Dai pool from the Sai pool token.'
+  },
+  'Pool/not-dai': {
+    explanation: 'The pool receiving the migration does not hold Dai.',
+    fix: 'Send Sai pool tokens to the Dai pool only.'
+  },
+  'Pool/not-list': {
+    explanation: 'The recipient is not on the pool token\'s whitelist.',
+    fix: 'Ask an admin to whitelist the recipient with setRecipientWhitelisted.'
+  },
+  'DrawMan/exceeds-open': {
+    explanation: 'The amount is more than the user\'s open balance.',
+    fix: 'Withdraw at most openBalanceOf the user.'
+  },
+  'UniformRand/min-bound': {
+    explanation: 'A winner was drawn from a draw with no committed tickets.',
+    fix: 'Check the committed supply is not zero when drawing.'
+  },
+  'PoolToken/name': {
+    explanation: 'The pool token was initialized without a name.',
+    fix: 'Pass a name to init.'
+  },
+  'PoolToken/symbol': {
+    explanation: 'The pool token was initialized without a symbol.',
+    fix: 'Pass a symbol to init.'
+  },
+  'PoolToken/pool-zero': {
+    explanation: 'The pool token was initialized without a pool.',
+    fix: 'Pass the pool address to init.'
+  },
+  'PoolToken/transfer-zero': {
+    explanation: 'Tokens cannot be transferred to the zero address.',
+    fix: 'Use redeem to turn tickets back into tokens.'
+  },
+  'PoolToken/no-support': {
+    explanation: 'Pool tokens cannot be burned.',
+    fix: 'Use redeem to turn tickets back into tokens.'
+  },
+  'PoolToken/auth-self': {
+    explanation: 'Holders are always their own operator.',
+    fix: 'Authorize a different address.'
+  },
+  'PoolToken/revoke-self': {
+    explanation: 'Holders cannot revoke themselves as operator.',
+    fix: 'Revoke a different address.'
+  },
+  'PoolToken/not-operator': {
+    explanation: 'The sender is not an operator of the holder.',
+    fix: 'Have the holder authorize the sender with authorizeOperator.'
+  },
+  'PoolToken/to-zero': {
+    explanation: 'Tokens cannot be sent to the zero address.',
+    fix: 'Use redeem to turn tickets back into tokens.'
+  },
+  'PoolToken/from-zero': {
+    explanation: 'The holder or spender is the zero address.',
+    fix: 'Pass non-zero addresses.'
+  },
+  'PoolToken/exceed-allow': {
+    explanation: 'The amount is more than the spender\'s allowance.',
+    fix: 'Have the holder approve a larger amount.'
+  },
+  'PoolToken/no-recip-inter': {
+    explanation: 'The recipient is a contract that does not implement ERC777TokensRecipient.',
+    fix: 'Use transfer, which does not require the recipient to implement the interface.'
+  },
+  'PoolToken/only-pool': {
+    explanation: 'Only the pool can call this function.',
+    fix: 'Call the pool instead.'
+  },
+  'PoolToken/is-locked': {
+    explanation: 'The pool is locked for the reward, so tokens cannot be transferred or redeemed.',
+    fix: 'Reward the pool, or wait for the lock to end.'
+  },
+  'PoolToken/negative': {
+    explanation: 'The allowance would drop below zero.',
+    fix: 'Decrease the allowance by at most its current value.'
+  },
+  'Blocklock/lock-min': {
+    explanation: 'The lock duration must be at least one block.',
+    fix: 'Pass a lock duration greater than zero.'
+  },
+  'Blocklock/cool-min': {
+    explanation: 'The cooldown duration must be at least one block.',
+    fix: 'Pass a cooldown duration greater than zero.'
+  },
+  'Blocklock/no-lock': {
+    explanation: 'The pool is already locked or cooling down from the last lock.',
+    fix: 'Wait for the cooldown to end before locking again.'
+  },
+  'WhitelistToken/is-admin': {
+    explanation: 'The sender is not an admin of the pool.',
+    fix: 'Send the transaction from a pool admin, or through the multisig.'
+  }
+}
+
+/**
+ * @return The { explanation, fix } of a revert reason, or undefined if the reason is not one of the contracts'
+ */
+function explainRevert(reason) {
+  return REVERT_MESSAGES[reason]
+}
+
+module.exports = {
+  REVERT_MESSAGES,
+  explainRevert
+}
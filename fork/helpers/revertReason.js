@@ -0,0 +1,51 @@
+const { ethers } = require('ethers')
+
+// the selector of Error(string), which require and revert encode their reason with
+const ERROR_SELECTOR = '0x08c379a0'
+
+function findReturnData(data) {
+  if (typeof data === 'string') {
+    return data.startsWith(ERROR_SELECTOR) ? data : undefined
+  }
+  if (data && typeof data === 'object') {
+    // ganache nests the result under the transaction hash
+    const values = Object.keys(data).map(key => data[key])
+    for (let i = 0; i < values.length; i++) {
+      const found = findReturnData(values[i])
+      if (found) {
+        return found
+      }
+    }
+  }
+}
+
+function parseResponse(responseText) {
+  try {
+    return JSON.parse(responseText)
+  } catch (e) {
+    return undefined
+  }
+}
+
+/**
+ * Extracts the revert reason from a JSON-RPC error, either from the Error(string) return data or from the node's error
+ * message.
+ * @return The reason, or undefined if the error is not a revert
+ */
+function revertReason(error) {
+  const returnData = findReturnData(error.data) || findReturnData(parseResponse(error.responseText))
+  if (returnData) {
+    return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(returnData, 4))[0]
+  }
+
+  // ganache ends its message with ': revert <reason>', geth and Infura with 'execution reverted: <reason>'
+  const message = error.message || ''
+  const match = message.match(/: revert(?: (.*))?$/) || message.match(/execution reverted(?:: (.*))?$/)
+  if (match) {
+    return match[1] || 'no reason given'
+  }
+}
+
+module.exports = {
+  revertReason
+}
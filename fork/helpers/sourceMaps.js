@@ -0,0 +1,121 @@
+const fs = require('fs')
+const path = require('path')
+const { parseSourceMap, instructionIndices } = require('../../utils/gasProfile')
+
+const BUILD_DIRECTORY = 'build/contracts'
+
+// link placeholders, like __DrawManager___________________________, stand in for 20 byte library addresses
+const PLACEHOLDER = /__.{36}__/g
+
+// libraries start by pushing their own address, which is only known once they are deployed
+const LIBRARY_PREFIX = /^73[0-9a-f]{40}/
+
+function sourceIndex(node) {
+  return parseInt(node.src.split(':')[2], 10)
+}
+
+// lists the functions and modifiers in a source file, with the range of source they cover
+function functionRanges(ast) {
+  const ranges = []
+  ast.nodes.filter(node => node.nodeType === 'ContractDefinition').forEach(contract => {
+    contract.nodes
+      .filter(node => node.nodeType === 'FunctionDefinition' || node.nodeType === 'ModifierDefinition')
+      .forEach(node => {
+        const [start, length] = node.src.split(':').map(value => parseInt(value, 10))
+        const name = node.name || (node.isConstructor ? 'constructor' : 'fallback')
+        ranges.push({ name: `${contract.name}.${name}`, start, end: start + length })
+      })
+  })
+  return ranges
+}
+
+/**
+ * Strips the compiler metadata, whose hash changes with the paths the contracts were compiled from, and blanks out the
+ * link placeholders of the artifact's bytecode along with the same bytes of the deployed code.
+ */
+function comparableCode(artifactCode, code) {
+  const stripped = [artifactCode, code].map(bytecode => {
+    const hex = bytecode.replace(/^0x/, '').toLowerCase()
+    // the last two bytes are the length of the metadata before them
+    const metadataLength = (parseInt(hex.slice(-4), 16) + 2) * 2
+    return metadataLength < hex.length ? hex.slice(0, hex.length - metadataLength) : hex
+  })
+
+  const blanks = []
+  let match
+  while ((match = PLACEHOLDER.exec(stripped[0])) !== null) {
+    blanks.push(match.index)
+  }
+  if (LIBRARY_PREFIX.test(stripped[1]) && stripped[0].startsWith('73')) {
+    blanks.push(2)
+  }
+
+  return stripped.map(hex => blanks.reduce((blanked, index) => blanked.slice(0, index) + '0'.repeat(40) + blanked.slice(index + 40), hex))
+}
+
+/**
+ * Reads the source maps and function ranges of the truffle build.
+ * @return { contracts, functions }, where functions lists the function ranges of each source by its solc source index
+ */
+function loadBuild(directory = BUILD_DIRECTORY) {
+  const contracts = []
+  const functions = {}
+
+  fs.readdirSync(directory).filter(file => file.endsWith('.json')).forEach(file => {
+    const artifact = JSON.parse(fs.readFileSync(path.join(directory, file)))
+    const ast = artifact.ast || artifact.legacyAST
+    if (ast && ast.src && !functions[sourceIndex(ast)]) {
+      functions[sourceIndex(ast)] = functionRanges(ast)
+    }
+    if (artifact.deployedBytecode && artifact.deployedBytecode !== '0x' && artifact.deployedSourceMap) {
+      contracts.push(artifact)
+    }
+  })
+
+  return { contracts, functions }
+}
+
+/**
+ * Finds the artifact whose deployed bytecode is the given code.
+ * @return { label, functionAt(pc), jumpAt(pc) } to look up the function and jump type of each instruction, or
+ * undefined if no artifact matches
+ */
+function matchCode(build, code) {
+  const artifact = build.contracts.find(contract => {
+    const [expected, actual] = comparableCode(contract.deployedBytecode, code)
+    return expected === actual
+  })
+  if (!artifact) {
+    return
+  }
+
+  const sourceMap = parseSourceMap(artifact.deployedSourceMap)
+  const indices = instructionIndices(code)
+  const sourceAt = pc => sourceMap[indices[pc]]
+  const cache = {}
+
+  function functionAt(pc) {
+    if (!(pc in cache)) {
+      const source = sourceAt(pc)
+      const ranges = source && source.file >= 0 ? build.functions[source.file] || [] : []
+      // the innermost function is the shortest one that covers the instruction's source
+      const covering = ranges
+        .filter(range => range.start <= source.start && source.start + source.length <= range.end)
+        .sort((a, b) => (a.end - a.start) - (b.end - b.start))
+      cache[pc] = covering.length ? covering[0].name : undefined
+    }
+    return cache[pc]
+  }
+
+  return {
+    label: artifact.contractName,
+    functionAt,
+    jumpAt: pc => sourceAt(pc) ? sourceAt(pc).jump : '-'
+  }
+}
+
+module.exports = {
+  BUILD_DIRECTORY,
+  loadBuild,
+  matchCode
+}
@@ -1,43 +1,28 @@
 const chai = require('chai')
 const expect = chai.expect
-const MultisigAbi = require('../GnosisMultisigAbi')
+const { submitTransaction, confirmTransaction } = require('./multisig')
 
 const {
-  MULTISIG,
   MULTISIG_ADMIN1,
   MULTISIG_ADMIN2
 } = require('./constants')
 
-const overrides = {
-  gasLimit: 5000000
-}
-
 async function upgradeProxy(context, proxyAddress, implementationAddress, postUpgradeCallData) {
   const {
-    provider,
     interfaces,
-    contracts,
-    ethers
+    contracts
   } = context
 
-  let multisigSigner1 = provider.getSigner(MULTISIG_ADMIN1)
-  let multisigSigner2 = provider.getSigner(MULTISIG_ADMIN2)
-
-  const ms1 = new ethers.Contract(MULTISIG, MultisigAbi, multisigSigner1)
-  const ms2 = new ethers.Contract(MULTISIG, MultisigAbi, multisigSigner2)
-
   let upgradeData
   if (postUpgradeCallData) {
-    upgradeData = interfaces.ProxyAdmin.functions.upgradeAndCall.encode([proxyAddress, implementationAddress. postUpgradeCallData])
+    upgradeData = interfaces.ProxyAdmin.functions.upgradeAndCall.encode([proxyAddress, implementationAddress, postUpgradeCallData])
   } else {
     upgradeData = interfaces.ProxyAdmin.functions.upgrade.encode([proxyAddress, implementationAddress])
   }
 
-  await ms1.submitTransaction(contracts.ProxyAdmin.address, 0, upgradeData, overrides)
-  const lastTxId = parseInt((await ms1.transactionCount()).toString())
+  const { id } = await submitTransaction(context, MULTISIG_ADMIN1, contracts.ProxyAdmin.address, upgradeData)
   // have the second signer confirm
-  const confirmTx = await ms2.confirmTransaction(lastTxId-1, overrides)
-  receipt = await provider.waitForTransaction(confirmTx.hash)
+  await confirmTransaction(context, MULTISIG_ADMIN2, id)
 
   // The contract is now upgraded
   expect(await contracts.ProxyAdmin.getProxyImplementation(proxyAddress)).to.equal(implementationAddress)
@@ -45,4 +30,4 @@ async function upgradeProxy(context, proxyAddress, implementationAddress, postUp
 
 module.exports = {
   upgradeProxy
-}
\ No newline at end of file
+}
@@ -0,0 +1,259 @@
+const fs = require('fs')
+const chalk = require('chalk')
+const { ethers } = require('ethers')
+const { POOL_TYPES, poolConfig, poolContract } = require('./helpers/pools')
+const { poolAmounts } = require('./helpers/amounts')
+const { POOL_EVENTS, SPONSORSHIP_EVENTS, TOKEN_EVENTS, fetchEvents } = require('./helpers/poolEvents')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+const COLUMNS = [
+  'blockNumber',
+  'timestamp',
+  'transactionHash',
+  'drawId',
+  'type',
+  'amount',
+  'open',
+  'committed',
+  'sponsorship'
+]
+
+/**
+ * Builds the ledger of an address from pool and pool token events, with the open, committed and sponsorship balances after
+ * each entry.
+ * @param events The pool and pool token events, in the order they were emitted
+ * @param options.pools The addresses of pools that migrate pool tokens sent to them
+ * @param options.migrations The hashes of the transactions that migrated pool tokens into this pool
+ */
+function buildLedger(events, address, options = {}) {
+  const {
+    pools = [],
+    migrations = []
+  } = options
+
+  address = address.toLowerCase()
+  const isPool = (addr) => pools.some(pool => pool.toLowerCase() === addr.toLowerCase())
+  const isMigration = (event) => migrations.indexOf(event.transactionHash) !== -1
+
+  const ledger = []
+  let openDrawId = '0'
+  let open = ethers.constants.Zero
+  let committed = ethers.constants.Zero
+  let sponsorship = ethers.constants.Zero
+
+  const entry = (event, type, amount) => {
+    ledger.push({
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      drawId: openDrawId,
+      type,
+      amount,
+      open,
+      committed,
+      sponsorship
+    })
+  }
+
+  events.forEach(event => {
+    const { values } = event
+    const is = (addr) => addr.toLowerCase() === address
+
+    switch (event.name) {
+      case 'Opened':
+        openDrawId = values.drawId.toString()
+        if (!open.isZero()) {
+          committed = committed.add(open)
+          const amount = open
+          open = ethers.constants.Zero
+          entry(event, 'commit', amount)
+        }
+        break
+      case 'Deposited':
+        if (is(values.sender)) {
+          open = open.add(values.amount)
+          entry(event, isMigration(event) ? 'migration-in' : 'deposit', values.amount)
+        }
+        break
+      case 'DepositedAndCommitted':
+        if (is(values.sender)) {
+          committed = committed.add(values.amount)
+          entry(event, isMigration(event) ? 'migration-in' : 'committed-deposit', values.amount)
+        }
+        break
+      case 'SponsorshipDeposited':
+        if (is(values.sender)) {
+          sponsorship = sponsorship.add(values.amount)
+          entry(event, 'sponsorship', values.amount)
+        }
+        break
+      case 'Withdrawn':
+        if (is(values.sender)) {
+          open = committed = sponsorship = ethers.constants.Zero
+          entry(event, 'withdrawal', values.amount)
+        }
+        break
+      case 'OpenDepositWithdrawn':
+        if (is(values.sender)) {
+          open = open.sub(values.amount)
+          entry(event, 'open-withdrawal', values.amount)
+        }
+        break
+      case 'CommittedDepositWithdrawn':
+        if (is(values.sender)) {
+          committed = committed.sub(values.amount)
+          entry(event, 'committed-withdrawal', values.amount)
+        }
+        break
+      case 'SponsorshipAndFeesWithdrawn':
+        if (is(values.sender)) {
+          sponsorship = sponsorship.sub(values.amount)
+          entry(event, 'sponsorship-withdrawal', values.amount)
+        }
+        break
+      case 'Rewarded':
+        if (is(values.winner) && !values.winnings.isZero()) {
+          open = open.add(values.winnings)
+          entry(event, 'win', values.winnings)
+        }
+        break
+      case 'FeeCollected':
+        if (is(values.sender) && !values.amount.isZero()) {
+          sponsorship = sponsorship.add(values.amount)
+          entry(event, 'fee', values.amount)
+        }
+        break
+      case 'Sent':
+        if (values.from === ZERO_ADDRESS || values.to === ZERO_ADDRESS) {
+          break
+        }
+        if (is(values.from)) {
+          committed = committed.sub(values.amount)
+          entry(event, isPool(values.to) ? 'migration-out' : 'transfer-out', values.amount)
+        } else if (is(values.to)) {
+          committed = committed.add(values.amount)
+          entry(event, 'transfer-in', values.amount)
+        }
+        break
+      default:
+        throw new Error(`Unknown pool event ${event.name}`)
+    }
+  })
+
+  return ledger
+}
+
+function toCsv(rows) {
+  return [COLUMNS.join(',')]
+    .concat(rows.map(row => COLUMNS.map(column => row[column]).join(',')))
+    .join('\n')
+}
+
+/**
+ * Reconstructs the deposits, withdrawals, wins, fees, transfers and migrations of an address in a pool.
+ * @param options.format One of table, csv or json
+ * @param options.output A file to write the csv or json ledger to instead of printing it
+ * @param options.fromBlock The block to read events from.  Must be at or before the pool was created
+ * @return The ledger, with amounts formatted using the pool token decimals
+ */
+async function history(context, type, address, options = {}) {
+  const {
+    format: outputFormat = 'table',
+    output,
+    fromBlock = '0'
+  } = options
+
+  const {
+    provider,
+    contracts,
+    artifacts
+  } = context
+
+  if (['table', 'csv', 'json'].indexOf(outputFormat) === -1) {
+    throw new Error(`Unknown format '${outputFormat}'.  Must be one of table | csv | json`)
+  }
+  if (output && outputFormat === 'table') {
+    throw new Error(`A table can only be printed.  Use --format csv or --format json to write the ledger to ${output}`)
+  }
+
+  address = ethers.utils.getAddress(address)
+  const { key } = poolConfig(type)
+  const pool = poolContract(context, type)
+  const { format } = await poolAmounts(context, pool)
+
+  console.error(chalk.yellow(`Reconstructing the ${key} history of ${address}...`))
+
+  const toBlock = await provider.getBlockNumber()
+  const sources = [{ contract: pool, names: POOL_EVENTS.concat(SPONSORSHIP_EVENTS) }]
+
+  const tokenAddress = await pool.poolToken()
+  if (tokenAddress !== ZERO_ADDRESS) {
+    sources.push({ contract: new ethers.Contract(tokenAddress, artifacts.PoolToken.abi, provider), names: TOKEN_EVENTS })
+  }
+
+  const events = await fetchEvents(provider, sources, parseInt(fromBlock, 10), toBlock)
+
+  // pools that accept migrated pool tokens, such as the dai pool for sai pool tokens
+  const pools = POOL_TYPES
+    .map(poolType => contracts[poolConfig(poolType).pool])
+    .filter(contract => contract && contract.address !== pool.address)
+    .map(contract => contract.address)
+
+  // sai pool tokens sent to this pool by the address are redeemed and deposited again in the same transaction
+  let migrations = []
+  const saiPoolAddress = pool.saiPool ? await pool.saiPool() : ZERO_ADDRESS
+  if (saiPoolAddress !== ZERO_ADDRESS) {
+    const saiPool = new ethers.Contract(saiPoolAddress, pool.interface.abi, provider)
+    const saiToken = new ethers.Contract(await saiPool.poolToken(), artifacts.PoolToken.abi, provider)
+    const sent = await fetchEvents(provider, [{
+      contract: saiToken,
+      names: ['Sent'],
+      topics: [null, ethers.utils.hexZeroPad(address, 32), ethers.utils.hexZeroPad(pool.address, 32)]
+    }], parseInt(fromBlock, 10), toBlock)
+    migrations = sent.map(event => event.transactionHash)
+  }
+
+  const ledger = buildLedger(events, address, { pools, migrations })
+
+  const timestamps = {}
+  for (let i = 0; i < ledger.length; i++) {
+    const { blockNumber } = ledger[i]
+    if (!timestamps[blockNumber]) {
+      timestamps[blockNumber] = new Date((await provider.getBlock(blockNumber)).timestamp * 1000).toISOString()
+    }
+  }
+
+  const rows = ledger.map(entry => ({
+    ...entry,
+    timestamp: timestamps[entry.blockNumber],
+    amount: format(entry.amount),
+    open: format(entry.open),
+    committed: format(entry.committed),
+    sponsorship: format(entry.sponsorship)
+  }))
+
+  let text
+  if (outputFormat === 'csv') {
+    text = toCsv(rows)
+  } else if (outputFormat === 'json') {
+    text = JSON.stringify(rows, null, 2)
+  }
+
+  if (output) {
+    fs.writeFileSync(output, text)
+    console.error(chalk.dim(`Wrote ${rows.length} entries to ${output}`))
+  } else if (text) {
+    console.log(text)
+  } else {
+    console.table(rows.map(row => ({ ...row, transactionHash: row.transactionHash.slice(0, 10) })), COLUMNS)
+  }
+
+  console.error(chalk.green('Done history.'))
+
+  return rows
+}
+
+module.exports = {
+  buildLedger,
+  history
+}
@@ -0,0 +1,271 @@
+const fs = require('fs')
+const chalk = require('chalk')
+const { ethers } = require('ethers')
+const { poolConfig } = require('./helpers/pools')
+const { POOL_EVENTS, TOKEN_EVENTS, fetchEvents } = require('./helpers/poolEvents')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// only the events are needed, so the indexer does not depend on compiled contracts
+const POOL_ABI = [
+  'event Opened(uint256 indexed drawId, address indexed feeBeneficiary, bytes32 secretHash, uint256 feeFraction)',
+  'event Deposited(address indexed sender, uint256 amount)',
+  'event DepositedAndCommitted(address indexed sender, uint256 amount)',
+  'event Withdrawn(address indexed sender, uint256 amount)',
+  'event OpenDepositWithdrawn(address indexed sender, uint256 amount)',
+  'event CommittedDepositWithdrawn(address indexed sender, uint256 amount)',
+  'event Rewarded(uint256 indexed drawId, address indexed winner, bytes32 entropy, uint256 winnings, uint256 fee)'
+]
+
+// the pool token emits Transfer alongside every Sent, so only Sent is indexed
+const POOL_TOKEN_ABI = [
+  'event Sent(address indexed operator, address indexed from, address indexed to, uint256 amount, bytes data, bytes operatorData)'
+]
+
+// the pools are indexed at their mainnet addresses
+const NETWORK_CONFIG = '.openzeppelin/mainnet.json'
+
+function indexPath() {
+  return process.env.INDEXER_DB_PATH || '.indexer.json'
+}
+
+function loadIndex(path) {
+  if (!fs.existsSync(path)) {
+    return {}
+  }
+  return JSON.parse(fs.readFileSync(path))
+}
+
+function saveIndex(path, db) {
+  fs.writeFileSync(path, JSON.stringify(db, null, 2))
+}
+
+/**
+ * Reads the pool and pool token proxy addresses from an OpenZeppelin network file.
+ */
+function proxyAddresses(networkConfig, type) {
+  const config = poolConfig(type)
+  const { proxies } = JSON.parse(fs.readFileSync(networkConfig))
+  const address = (name) => {
+    const proxy = proxies[`pooltogether/${name}`]
+    return proxy && proxy.length ? proxy[proxy.length - 1].address : null
+  }
+
+  const pool = address(config.pool)
+  if (!pool) {
+    throw new Error(`${config.pool} is not in ${networkConfig}`)
+  }
+
+  return {
+    pool,
+    token: address(config.token)
+  }
+}
+
+function player(index, address) {
+  const id = address.toLowerCase()
+  if (!index.players[id]) {
+    index.players[id] = {
+      address: ethers.utils.getAddress(address),
+      firstDepositDrawId: '0',
+      openDrawId: '0',
+      openBalance: '0',
+      committedBalance: '0'
+    }
+  }
+  const result = index.players[id]
+
+  // open deposits are committed once their draw is no longer open
+  if (result.openDrawId !== index.openDrawId && result.openBalance !== '0') {
+    result.committedBalance = ethers.utils.bigNumberify(result.committedBalance).add(result.openBalance).toString()
+    result.openBalance = '0'
+  }
+  result.openDrawId = index.openDrawId
+
+  return result
+}
+
+function depositOpen(index, address, amount) {
+  const p = player(index, address)
+  p.openBalance = ethers.utils.bigNumberify(p.openBalance).add(amount).toString()
+  if (p.firstDepositDrawId === '0') {
+    p.firstDepositDrawId = index.openDrawId
+  }
+}
+
+function depositCommitted(index, address, amount) {
+  const p = player(index, address)
+  p.committedBalance = ethers.utils.bigNumberify(p.committedBalance).add(amount).toString()
+  if (p.firstDepositDrawId === '0') {
+    p.firstDepositDrawId = ethers.utils.bigNumberify(index.openDrawId).sub('1').toString()
+  }
+}
+
+function withdrawOpen(index, address, amount) {
+  const p = player(index, address)
+  p.openBalance = ethers.utils.bigNumberify(p.openBalance).sub(amount).toString()
+}
+
+function withdrawCommitted(index, address, amount) {
+  const p = player(index, address)
+  p.committedBalance = ethers.utils.bigNumberify(p.committedBalance).sub(amount).toString()
+}
+
+/**
+ * Applies a pool or pool token event to the players of the index.
+ */
+function applyPlayerEvent(index, event) {
+  const { values } = event
+  switch (event.name) {
+    case 'Opened':
+      index.openDrawId = values.drawId.toString()
+      break
+    case 'Deposited':
+      depositOpen(index, values.sender, values.amount)
+      break
+    case 'DepositedAndCommitted':
+      depositCommitted(index, values.sender, values.amount)
+      break
+    case 'Withdrawn':
+      Object.assign(player(index, values.sender), { openBalance: '0', committedBalance: '0' })
+      break
+    case 'OpenDepositWithdrawn':
+      withdrawOpen(index, values.sender, values.amount)
+      break
+    case 'CommittedDepositWithdrawn':
+      withdrawCommitted(index, values.sender, values.amount)
+      break
+    case 'Rewarded':
+      if (values.winner !== ZERO_ADDRESS && !values.winnings.isZero()) {
+        depositOpen(index, values.winner, values.winnings)
+      }
+      break
+    case 'Sent':
+      if (values.from !== ZERO_ADDRESS && values.to !== ZERO_ADDRESS) {
+        withdrawCommitted(index, values.from, values.amount)
+        depositCommitted(index, values.to, values.amount)
+      }
+      break
+    default:
+      throw new Error(`Unknown pool event ${event.name}`)
+  }
+}
+
+/**
+ * Brings the index of a pool up to the latest block of a JSON-RPC node, then saves it.
+ * @param options.rpcUrl The node to read events from.  Defaults to INDEXER_RPC_URL, then GANACHE_FORK_URL
+ * @param options.networkConfig The OpenZeppelin network file to read the pool addresses from
+ * @param options.fromBlock The block to start a new index from
+ * @return The index of the pool
+ */
+async function updateIndex(type = 'sai', options = {}) {
+  const {
+    rpcUrl = process.env.INDEXER_RPC_URL || process.env.GANACHE_FORK_URL,
+    networkConfig = NETWORK_CONFIG,
+    fromBlock = '0',
+    path = indexPath()
+  } = options
+
+  if (!rpcUrl) {
+    throw new Error('Set INDEXER_RPC_URL or GANACHE_FORK_URL to the JSON-RPC node to index')
+  }
+
+  const { key } = poolConfig(type)
+  const addresses = proxyAddresses(networkConfig, type)
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl)
+
+  const db = loadIndex(path)
+  const index = db[addresses.pool.toLowerCase()] || {
+    type: key,
+    lastBlock: parseInt(fromBlock, 10) - 1,
+    openDrawId: '0',
+    players: {}
+  }
+
+  const latestBlock = await provider.getBlockNumber()
+  if (index.lastBlock < latestBlock) {
+    console.log(chalk.dim(`Indexing ${key} pool events from block ${index.lastBlock + 1} to ${latestBlock}...`))
+
+    const sources = [{ contract: new ethers.Contract(addresses.pool, POOL_ABI, provider), names: POOL_EVENTS }]
+    if (addresses.token) {
+      sources.push({ contract: new ethers.Contract(addresses.token, POOL_TOKEN_ABI, provider), names: TOKEN_EVENTS })
+    }
+
+    const events = await fetchEvents(provider, sources, index.lastBlock + 1, latestBlock)
+    events.forEach(event => applyPlayerEvent(index, event))
+    index.lastBlock = latestBlock
+
+    db[addresses.pool.toLowerCase()] = index
+    saveIndex(path, db)
+  }
+
+  return index
+}
+
+/**
+ * Reads the saved index of a pool without contacting a node.
+ * @param options.networkConfig The OpenZeppelin network file to read the pool addresses from
+ * @return The index of the pool, or undefined if it has not been indexed
+ */
+function readIndex(type = 'sai', options = {}) {
+  const {
+    networkConfig = NETWORK_CONFIG,
+    path = indexPath()
+  } = options
+
+  const addresses = proxyAddresses(networkConfig, type)
+  return loadIndex(path)[addresses.pool.toLowerCase()]
+}
+
+/**
+ * Lists the players of an index that have a balance, in the shape the subgraph returned them, ordered by consolidated balance.
+ */
+function indexedPlayers(index) {
+  return Object.keys(index.players)
+    .map(id => player(index, id))
+    .map(p => {
+      const committedBalance = ethers.utils.bigNumberify(p.committedBalance)
+      const openBalance = ethers.utils.bigNumberify(p.openBalance)
+      return {
+        id: p.address.toLowerCase(),
+        address: p.address,
+        consolidatedBalance: committedBalance,
+        firstDepositDrawId: p.firstDepositDrawId,
+        latestBalance: openBalance,
+        latestDrawId: p.openDrawId,
+        balance: committedBalance.add(openBalance)
+      }
+    })
+    .filter(p => !p.balance.isZero())
+    .sort((a, b) => {
+      if (!a.consolidatedBalance.eq(b.consolidatedBalance)) {
+        return a.consolidatedBalance.gt(b.consolidatedBalance) ? -1 : 1
+      }
+      return a.balance.gt(b.balance) ? -1 : (a.balance.eq(b.balance) ? 0 : 1)
+    })
+    .map(p => ({
+      ...p,
+      consolidatedBalance: p.consolidatedBalance.toString(),
+      latestBalance: p.latestBalance.toString(),
+      balance: p.balance.toString()
+    }))
+}
+
+async function indexPlayers(types, options = {}) {
+  console.log(chalk.yellow(`Indexing ${types.join(', ')} players...`))
+
+  for (let i = 0; i < types.length; i++) {
+    const result = await updateIndex(types[i], options)
+    console.log(chalk.dim(`${types[i]}: ${indexedPlayers(result).length} players with a balance as of block ${result.lastBlock}`))
+  }
+
+  console.log(chalk.green('Done index.'))
+}
+
+module.exports = {
+  indexPlayers,
+  updateIndex,
+  readIndex,
+  indexedPlayers,
+  applyPlayerEvent
+}
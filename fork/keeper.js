@@ -0,0 +1,204 @@
+const fs = require('fs')
+const chalk = require('chalk')
+const { exec } = require('./exec')
+const { poolConfig, poolContract } = require('./helpers/pools')
+const { generateAll } = require('../utils/generateAll')
+const { checkDrawSecret } = require('./helpers/checkDrawSecret')
+
+const {
+  MULTISIG_ADMIN1
+} = require('./helpers/constants')
+
+const overrides = {
+  gasLimit: 6000000
+}
+
+const ZERO_BYTES32 = '0x0000000000000000000000000000000000000000000000000000000000000000'
+
+function loadKeeperState(path) {
+  if (!fs.existsSync(path)) {
+    return {}
+  }
+  return JSON.parse(fs.readFileSync(path))
+}
+
+function saveKeeperState(path, state) {
+  fs.writeFileSync(path, JSON.stringify(state, null, 2))
+}
+
+/**
+ * Records the transaction before waiting on it, so that a keeper restarted mid-cycle waits for it instead of sending it again.
+ */
+async function send(provider, save, drawId, step, txPromise) {
+  const tx = await txPromise
+  await save({ drawId: drawId.toString(), step, txHash: tx.hash })
+  await exec(provider, tx)
+  await save({ drawId: drawId.toString(), step })
+}
+
+/**
+ * Moves the pool one step through its draw cycle: opens the next draw when the open draw is due, locks the pool, then rewards
+ * the committed draw and opens the next one.  The on-chain state decides the step, so the cycle can resume from any point.
+ * @param interval The number of blocks a draw stays open before it is committed
+ * @param progress The progress last saved for this pool
+ * @param save Persists the progress of this pool
+ * @return The action taken
+ */
+async function keeperCycle({ provider, pool, key, keystore, interval = 0, progress = {}, save }) {
+  if (progress.txHash) {
+    if (await provider.getTransaction(progress.txHash)) {
+      console.log(chalk.dim(`Waiting for ${progress.step} transaction ${progress.txHash}...`))
+      await provider.waitForTransaction(progress.txHash)
+    }
+    await save({ drawId: progress.drawId, step: progress.step })
+  }
+
+  const openDrawId = await pool.currentOpenDrawId()
+  const nextDrawId = openDrawId.add('1')
+  const { secretHash } = generateAll(keystore, key, pool.address, nextDrawId)
+
+  if (openDrawId.isZero()) {
+    console.log(chalk.yellow(`Opening the first ${key} draw...`))
+    await send(provider, save, nextDrawId, 'open', pool.openNextDraw(secretHash, overrides))
+    return 'opened'
+  }
+
+  const blockNumber = await provider.getBlockNumber()
+  const openDraw = await pool.getDraw(openDrawId)
+  const isDue = openDraw.openedBlock.add(interval).lte(blockNumber)
+
+  const committedDrawId = await pool.currentCommittedDrawId()
+  const committedDraw = await pool.getDraw(committedDrawId)
+  const isLocked = await pool.isLocked()
+
+  if (committedDrawId.isZero() || committedDraw.entropy !== ZERO_BYTES32) {
+    if (!isDue) {
+      return 'waiting'
+    }
+    console.log(chalk.yellow(`Committing ${key} draw ${openDrawId.toString()}...`))
+    await send(provider, save, nextDrawId, 'open', pool.openNextDraw(secretHash, overrides))
+    return 'opened'
+  }
+
+  if (!isLocked && !isDue) {
+    return 'waiting'
+  }
+
+  const { secret, salt } = await checkDrawSecret(pool, keystore, key, committedDrawId)
+
+  if (!isLocked) {
+    if (!(await pool.canLock())) {
+      const cooldownEndAt = (await pool.cooldownEndAt()).toString()
+      // rewards unlock the pool, so a lock that ends after the committed draw was committed was never used to reward it
+      if ((await pool.lockEndAt()).gt(openDraw.openedBlock)) {
+        console.log(chalk.red(`${key} pool lock ended before draw ${committedDrawId.toString()} was rewarded.  It can lock again at block ${cooldownEndAt}`))
+        return 'lock-expired'
+      }
+      console.log(chalk.dim(`${key} pool is cooling down until block ${cooldownEndAt}`))
+      return 'cooldown'
+    }
+    console.log(chalk.yellow(`Locking ${key} pool...`))
+    await send(provider, save, committedDrawId, 'lock', pool.lockTokens(overrides))
+  }
+
+  // the reward is mined at the earliest in the block after the latest, and reverts unless the pool is still locked then
+  const lockEndAt = await pool.lockEndAt()
+  if (lockEndAt.lte((await provider.getBlockNumber()) + 1)) {
+    console.log(chalk.red(`${key} pool lock ends at block ${lockEndAt.toString()}, before draw ${committedDrawId.toString()} can be rewarded.  It can lock again at block ${(await pool.cooldownEndAt()).toString()}`))
+    return 'lock-expired'
+  }
+
+  console.log(chalk.yellow(`Rewarding ${key} draw ${committedDrawId.toString()} and opening draw ${nextDrawId.toString()}...`))
+  await send(provider, save, committedDrawId, 'reward', pool.rewardAndOpenNextDraw(secretHash, secret, salt, overrides))
+
+  return 'rewarded'
+}
+
+async function keeper(context, types, keystore, options = {}) {
+  const {
+    interval = '0',
+    poll = '15',
+    from = MULTISIG_ADMIN1,
+    statePath = '.keeper.json',
+    once = false
+  } = options
+
+  console.log(chalk.yellow(`Starting keeper for ${types.join(', ')}...`))
+
+  const {
+    provider
+  } = context
+
+  const signer = provider.getSigner(from)
+  const pools = types.map(type => ({
+    key: poolConfig(type).key,
+    pool: poolContract(context, type, signer)
+  }))
+
+  const state = loadKeeperState(statePath)
+
+  // the first Ctrl-C stops the keeper once the cycle it is in is done, and the second stops it at once
+  let running = true
+  let wake
+  const stop = () => {
+    if (!running) {
+      console.log(chalk.red('Keeper stopped mid-cycle.'))
+      process.exit(130)
+    }
+    console.log(chalk.dim('Stopping keeper after this cycle.  Press Ctrl-C again to stop now...'))
+    running = false
+    if (wake) {
+      wake()
+    }
+  }
+  process.on('SIGINT', stop)
+
+  while (running) {
+    for (let i = 0; i < pools.length; i++) {
+      const { key, pool } = pools[i]
+      const save = async (progress) => {
+        state[pool.address] = progress
+        saveKeeperState(statePath, state)
+      }
+      try {
+        const action = await keeperCycle({
+          provider,
+          pool,
+          key,
+          keystore,
+          interval: parseInt(interval, 10),
+          progress: state[pool.address],
+          save
+        })
+        console.log(chalk.dim(`${key}: ${action}`))
+      } catch (e) {
+        console.error(chalk.red(`${key} keeper cycle failed: ${e.message}`))
+      }
+    }
+
+    if (once) {
+      break
+    }
+
+    if (running) {
+      await new Promise(resolve => {
+        const timeout = setTimeout(resolve, parseInt(poll, 10) * 1000)
+        wake = () => {
+          clearTimeout(timeout)
+          resolve()
+        }
+      })
+      wake = undefined
+    }
+  }
+
+  process.removeListener('SIGINT', stop)
+  console.log(chalk.green('Keeper stopped.'))
+}
+
+module.exports = {
+  keeper,
+  keeperCycle,
+  loadKeeperState,
+  saveKeeperState
+}
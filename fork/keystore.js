@@ -0,0 +1,124 @@
+const fs = require('fs')
+const chalk = require('chalk')
+const { promptPassword } = require('./helpers/prompt')
+const { POOL_TYPES, poolConfig, poolContract } = require('./helpers/pools')
+const {
+  encryptKeystore,
+  decryptKeystore,
+  newSeeds
+} = require('../utils/keystore')
+const { CURRENT_DERIVATION_VERSION } = require('../utils/generateHash')
+
+function keystorePath() {
+  return process.env.KEYSTORE_PATH || '.keystore.json'
+}
+
+async function newPassword() {
+  const password = await promptPassword('New keystore password: ')
+  const confirmation = await promptPassword('Confirm keystore password: ')
+  if (password !== confirmation) {
+    throw new Error('Passwords do not match')
+  }
+  if (!password) {
+    throw new Error('The keystore password cannot be empty')
+  }
+  return password
+}
+
+async function writeKeystore(keystore, password) {
+  const encrypted = await encryptKeystore(keystore, password)
+  fs.writeFileSync(keystorePath(), JSON.stringify(encrypted, null, 2), { mode: 0o600 })
+}
+
+/**
+ * Decrypts the keystore.  The password is read from KEYSTORE_PASSWORD if set, otherwise it is prompted for.
+ */
+async function openKeystore() {
+  const path = keystorePath()
+  if (!fs.existsSync(path)) {
+    throw new Error(`No keystore found at ${path}.  Create one using 'yarn fork keystore-create'`)
+  }
+
+  const password = process.env.KEYSTORE_PASSWORD || await promptPassword(`Password for ${path}: `)
+
+  return decryptKeystore(JSON.parse(fs.readFileSync(path)), password)
+}
+
+/**
+ * Imported seeds keep the version 1 derivation so that draws committed with them can still be rewarded.
+ * New seeds use the current derivation, which namespaces secrets by chain id and pool address.
+ */
+async function createKeystore(importEnv = false, chainId = '1') {
+  const path = keystorePath()
+  console.log(chalk.yellow(`Creating keystore at ${path}...`))
+
+  if (fs.existsSync(path)) {
+    throw new Error(`A keystore already exists at ${path}.  Use 'yarn fork keystore-rotate' to change it`)
+  }
+
+  if (importEnv && (!process.env.SECRET_SEED || !process.env.SALT_SEED)) {
+    throw new Error('SECRET_SEED and SALT_SEED must be defined to import them')
+  }
+
+  const derivation = {
+    version: CURRENT_DERIVATION_VERSION,
+    chainId: parseInt(chainId, 10)
+  }
+
+  const keystore = { pools: {} }
+  POOL_TYPES.forEach(type => {
+    keystore.pools[type] = [
+      importEnv ? newSeeds('1', {}, process.env.SECRET_SEED, process.env.SALT_SEED) : newSeeds('1', derivation)
+    ]
+  })
+
+  await writeKeystore(keystore, await newPassword())
+
+  console.log(chalk.green(`Created keystore for ${POOL_TYPES.join(', ')}.`))
+}
+
+async function unlockKeystore() {
+  console.log(chalk.yellow(`Unlocking keystore at ${keystorePath()}...`))
+
+  const keystore = await openKeystore()
+
+  Object.keys(keystore.pools).forEach(type => {
+    const draws = keystore.pools[type].map(seeds => `from draw ${seeds.fromDrawId} (v${seeds.version || 1})`)
+    console.log(chalk.dim(`${type}: ${draws.join(', ')}`))
+  })
+
+  console.log(chalk.green('Keystore unlocked.'))
+}
+
+/**
+ * Re-encrypts the keystore with a new password.  If a pool type is passed, new seeds are added for that pool
+ * starting with the next draw to be opened.  Older seeds are kept so that committed draws can still be rewarded.
+ */
+async function rotateKeystore(context, type, chainId = '1') {
+  console.log(chalk.yellow(`Rotating keystore at ${keystorePath()}...`))
+
+  const keystore = await openKeystore()
+
+  if (type) {
+    const { key } = poolConfig(type)
+    const pool = poolContract(context, type)
+    const fromDrawId = (await pool.currentOpenDrawId()).add('1')
+    const derivation = {
+      version: CURRENT_DERIVATION_VERSION,
+      chainId: parseInt(chainId, 10)
+    }
+    keystore.pools[key] = (keystore.pools[key] || []).concat([newSeeds(fromDrawId, derivation)])
+    console.log(chalk.dim(`New ${key} seeds apply from draw ${fromDrawId.toString()}`))
+  }
+
+  await writeKeystore(keystore, await newPassword())
+
+  console.log(chalk.green('Rotated keystore.'))
+}
+
+module.exports = {
+  openKeystore,
+  createKeystore,
+  unlockKeystore,
+  rotateKeystore
+}
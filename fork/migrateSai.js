@@ -3,7 +3,7 @@ const chalk = require('chalk')
 const { expect } = require('chai')
 const { fetchUsers } = require('./fetchUsers')
 const { exec } = require('./exec')
-const { ethers } = require('ethers')
+const { poolAmounts } = require('./helpers/amounts')
 
 const overrides = {
   gasLimit: 5000000
@@ -21,6 +21,8 @@ async function migrateSai (context, count = '1') {
 
   count = parseInt(count, 10)
 
+  const { format } = await poolAmounts(context, contracts.PoolSai)
+
   const users = await fetchUsers(count)
 
   for (let i = 0; i < count; i++) {
@@ -30,7 +32,7 @@ async function migrateSai (context, count = '1') {
     const balance = await signingSai.balanceOf(user)
     if (balance.gt('0x0')) {
       const startingPoolDaiBalance = await contracts.PoolDai.totalBalanceOf(user)
-      console.log(chalk.dim(`Migrating ${ethers.utils.formatEther(balance)} for ${user} to PoolDai ${contracts.PoolDai.address}...`))
+      console.log(chalk.dim(`Migrating ${format(balance)} for ${user} to PoolDai ${contracts.PoolDai.address}...`))
       await exec(provider, signingSai.send(contracts.PoolDai.address, balance, [], overrides))
       console.log(chalk.dim(`Migrated ${user}.`))
       const endingPoolDaiBalance = await contracts.PoolDai.totalBalanceOf(user)
@@ -0,0 +1,103 @@
+const chalk = require('chalk')
+const { poolConfig, poolContract } = require('./helpers/pools')
+
+// the average block time on mainnet, which block timestamps are moved forward by
+const SECONDS_PER_BLOCK = 15
+
+// the points in a pool's Blocklock that advance-to can move the fork to
+const TARGETS = {
+  'lock-end': pool => pool.lockEndAt(),
+  'cooldown-end': pool => pool.cooldownEndAt()
+}
+
+/**
+ * Mines empty blocks with evm_mine, moving the block timestamps forward by evm_increaseTime to match.
+ */
+async function mineBlocks(provider, blocks, secondsPerBlock = SECONDS_PER_BLOCK) {
+  await provider.send('evm_increaseTime', [blocks * secondsPerBlock])
+  for (let i = 0; i < blocks; i++) {
+    await provider.send('evm_mine', [])
+    if ((i + 1) % 1000 === 0) {
+      console.log(chalk.dim(`Mined ${i + 1} of ${blocks} blocks`))
+    }
+  }
+  return provider.getBlockNumber()
+}
+
+async function logBlocklock(pool, key) {
+  const [lockEndAt, cooldownEndAt, isLocked, canLock] = await Promise.all([
+    pool.lockEndAt(),
+    pool.cooldownEndAt(),
+    pool.isLocked(),
+    pool.canLock()
+  ])
+  console.log(chalk.dim(`${key}: locked ${isLocked}, can lock ${canLock}, lock ends at ${lockEndAt.toString()}, cooldown ends at ${cooldownEndAt.toString()}`))
+}
+
+/**
+ * Mines a number of blocks.
+ * @param options.secondsPerBlock The seconds to move each block's timestamp forward by
+ */
+async function mine(context, blocks, options = {}) {
+  const {
+    secondsPerBlock = SECONDS_PER_BLOCK
+  } = options
+
+  const {
+    provider
+  } = context
+
+  const count = parseInt(blocks, 10)
+  if (!(count > 0)) {
+    throw new Error(`The number of blocks must be a positive integer, not '${blocks}'`)
+  }
+
+  console.log(chalk.yellow(`Mining ${count} blocks...`))
+
+  const blockNumber = await mineBlocks(provider, count, parseInt(secondsPerBlock, 10))
+
+  console.log(chalk.green(`Mined to block ${blockNumber}.`))
+}
+
+/**
+ * Mines blocks until a pool's lock or cooldown has ended, as read from its Blocklock.  Calls and the next transaction
+ * both see the pool as unlocked, or able to lock again, once it returns.
+ * @param target One of lock-end or cooldown-end
+ * @param options.secondsPerBlock The seconds to move each block's timestamp forward by
+ */
+async function advanceTo(context, target, type, options = {}) {
+  const {
+    secondsPerBlock = SECONDS_PER_BLOCK
+  } = options
+
+  const {
+    provider
+  } = context
+
+  if (!TARGETS[target]) {
+    throw new Error(`Unknown target '${target}'.  Must be one of ${Object.keys(TARGETS).join(' | ')}`)
+  }
+  const { key } = poolConfig(type)
+  const pool = poolContract(context, key)
+
+  await logBlocklock(pool, key)
+
+  const targetBlock = (await TARGETS[target](pool)).toNumber()
+  const blockNumber = await provider.getBlockNumber()
+  if (blockNumber >= targetBlock) {
+    console.log(chalk.green(`Block ${blockNumber} is already past the ${key} ${target} at ${targetBlock}.`))
+    return
+  }
+
+  console.log(chalk.yellow(`Mining ${targetBlock - blockNumber} blocks to the ${key} ${target} at ${targetBlock}...`))
+
+  await mineBlocks(provider, targetBlock - blockNumber, parseInt(secondsPerBlock, 10))
+  await logBlocklock(pool, key)
+
+  console.log(chalk.green(`Advanced to block ${targetBlock}.`))
+}
+
+module.exports = {
+  mine,
+  advanceTo
+}
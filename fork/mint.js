@@ -1,12 +1,10 @@
 const { fetchUsers } = require('./fetchUsers')
 const chalk = require('chalk')
 const { exec } = require('./exec')
+const { poolConfig } = require('./helpers/pools')
+const { tokenAmounts } = require('./helpers/amounts')
 const {
-  DAI,
-  SAI,
-  SAI_BUDDY,
-  LITTLE_SAI_GUY,
-  DAI_BUDDY
+  LITTLE_SAI_GUY
 } = require('./helpers/constants')
 
 async function mint(context, type) {
@@ -17,24 +15,21 @@ async function mint(context, type) {
     interfaces
   } = context
 
-  let token
-
-  switch (type) {
-    case 'dai':
-      token = new ethers.Contract(DAI, interfaces.ERC20.abi, provider.getSigner(DAI_BUDDY))
-      break
-    default:
-      token = new ethers.Contract(SAI, interfaces.ERC20.abi, provider.getSigner(SAI_BUDDY))
+  const config = poolConfig(type)
+  if (!config.whale) {
+    throw new Error(`No funded account is configured to mint ${config.key}`)
   }
 
+  const token = new ethers.Contract(config.underlying, interfaces.ERC20.abi, provider.getSigner(config.whale))
+  const { parse } = await tokenAmounts(context, config.underlying)
 
-  await exec(provider, token.transfer(LITTLE_SAI_GUY, ethers.utils.parseEther('100')))
+  await exec(provider, token.transfer(LITTLE_SAI_GUY, parse('100')))
   console.log(chalk.dim(`Transferred 100 ${type} to LITTLE_SAI_GUY`))
 
-  const users = await fetchUsers(5)
+  const users = await fetchUsers(5, 0, type)
   for (let i = 0; i < users.length; i++) {
     const user = users[i].address
-    await exec(provider, token.transfer(user, ethers.utils.parseEther('100')))
+    await exec(provider, token.transfer(user, parse('100')))
     console.log(chalk.dim(`Transferred 100 ${type} to ${user}`))
   }
 
@@ -0,0 +1,143 @@
+const chalk = require('chalk')
+const { ethers } = require('ethers')
+const {
+  encodeCall,
+  fetchTransaction,
+  pendingTransactionIds,
+  submitTransaction,
+  confirmTransaction,
+  revokeConfirmation,
+  executeTransaction
+} = require('./helpers/multisig')
+const { addressBook, decodeCall, formatCall } = require('./helpers/decodeCall')
+const { MULTISIG_ADMIN1 } = require('./helpers/constants')
+
+/**
+ * Decodes a multisig transaction and the implementation changes it makes.
+ */
+async function decodeTransaction(context, transaction, book = addressBook(context)) {
+  return {
+    ...transaction,
+    value: transaction.value.toString(),
+    call: await decodeCall(context, transaction.destination, transaction.data, { book })
+  }
+}
+
+function logTransaction(decoded) {
+  const status = decoded.executed ? 'executed' : `${decoded.confirmations.length}/${decoded.required} confirmations`
+  console.log(`${chalk.bold(`#${decoded.id}`)} ${chalk.dim(`(${status})`)}`)
+  formatCall(decoded.call, '  ').forEach(line => console.log(line))
+  if (decoded.value !== '0') {
+    console.log(chalk.dim(`  value: ${ethers.utils.formatEther(decoded.value)} ETH`))
+  }
+  console.log(chalk.dim(`  confirmed by: ${decoded.confirmations.join(', ') || 'nobody'}`))
+  decoded.call.changes.forEach(change => {
+    console.log(chalk.yellow(`  upgrades ${change.proxy} from ${change.from} to ${change.to}`))
+  })
+}
+
+function logResult(id, result) {
+  if (result === 'failed') {
+    console.log(chalk.red(`Multisig transaction ${id} was confirmed but its call reverted.  Retry it with multisig-execute`))
+  } else {
+    console.log(chalk.dim(`Multisig transaction ${id} is ${result}`))
+  }
+}
+
+/**
+ * Proposes a call to a project contract through the multisig.
+ * @param contractName The name of the contract in the network config, such as PoolDai or ProxyAdmin
+ * @param method The function to call
+ * @param args The arguments as strings, with arrays as JSON
+ * @param options.from The multisig owner to send from.  Defaults to MULTISIG_ADMIN1
+ * @param options.value The ETH to send with the call
+ * @return The id of the multisig transaction
+ */
+async function proposeTransaction(context, contractName, method, args, options = {}) {
+  const {
+    from = MULTISIG_ADMIN1,
+    value = '0'
+  } = options
+
+  const { destination, data } = encodeCall(context, contractName, method, args)
+  const call = await decodeCall(context, destination, data)
+  console.log(chalk.yellow(`Proposing ${call.label}.${call.signature}...`))
+  formatCall(call, '  ').forEach(line => console.log(chalk.dim(line)))
+
+  const { id, result } = await submitTransaction(context, from, destination, data, ethers.utils.parseEther(value))
+  logResult(id, result)
+
+  console.log(chalk.green(`Proposed multisig transaction ${id}.`))
+
+  return id
+}
+
+async function listTransactions(context) {
+  console.log(chalk.yellow('Listing pending multisig transactions...'))
+
+  const book = addressBook(context)
+  const ids = await pendingTransactionIds(context)
+  for (let i = 0; i < ids.length; i++) {
+    logTransaction(await decodeTransaction(context, await fetchTransaction(context, ids[i]), book))
+  }
+
+  console.log(chalk.green(`Done listing ${ids.length} pending transactions.`))
+}
+
+/**
+ * Prints a multisig transaction with its calldata decoded, including the call made by an upgradeAndCall, and the
+ * implementations it changes.
+ * @param options.json Print the decoded transaction as JSON
+ * @return The decoded transaction
+ */
+async function showTransaction(context, id, options = {}) {
+  const { json = false } = options
+  const decoded = await decodeTransaction(context, await fetchTransaction(context, id))
+  if (json) {
+    console.log(JSON.stringify(decoded, null, 2))
+  } else {
+    logTransaction(decoded)
+  }
+  return decoded
+}
+
+async function confirm(context, id, options = {}) {
+  const { from = MULTISIG_ADMIN1 } = options
+  logTransaction(await decodeTransaction(context, await fetchTransaction(context, id)))
+  console.log(chalk.yellow(`Confirming multisig transaction ${id} as ${from}...`))
+
+  logResult(id, await confirmTransaction(context, from, id))
+
+  console.log(chalk.green(`Confirmed multisig transaction ${id}.`))
+}
+
+async function revoke(context, id, options = {}) {
+  const { from = MULTISIG_ADMIN1 } = options
+  console.log(chalk.yellow(`Revoking the confirmation of ${from} from multisig transaction ${id}...`))
+
+  await revokeConfirmation(context, from, id)
+
+  console.log(chalk.green(`Revoked multisig transaction ${id}.`))
+}
+
+async function execute(context, id, options = {}) {
+  const { from = MULTISIG_ADMIN1 } = options
+  logTransaction(await decodeTransaction(context, await fetchTransaction(context, id)))
+  console.log(chalk.yellow(`Executing multisig transaction ${id}...`))
+
+  const result = await executeTransaction(context, from, id)
+  if (result !== 'executed') {
+    throw new Error(`Multisig transaction ${id} is ${result}`)
+  }
+
+  console.log(chalk.green(`Executed multisig transaction ${id}.`))
+}
+
+module.exports = {
+  proposeTransaction,
+  listTransactions,
+  showTransaction,
+  confirm,
+  revoke,
+  execute
+}
@@ -0,0 +1,68 @@
+const chalk = require('chalk')
+const { ethers } = require('ethers')
+const { poolContract } = require('./helpers/pools')
+const { poolAmounts } = require('./helpers/amounts')
+const { calculateOdds } = require('../utils/calculateOdds')
+
+function formatOdds(odds) {
+  if (odds === 0) {
+    return 'no chance'
+  }
+  return `${(odds * 100).toFixed(4)}% (1 in ${Math.round(1 / odds).toLocaleString()})`
+}
+
+function formatDraws(draws) {
+  return draws === Infinity ? 'never' : draws.toFixed(1)
+}
+
+/**
+ * Reports the odds of an address winning the committed and next draws of a pool.
+ * @param options.deposit A hypothetical extra deposit, in whole tokens, to also report the odds for
+ * @return The odds, and the odds with the extra deposit if one was given
+ */
+async function odds(context, type, address, options = {}) {
+  const {
+    deposit
+  } = options
+
+  address = ethers.utils.getAddress(address)
+
+  console.log(chalk.yellow(`Calculating the odds of ${address} in the ${type} pool...`))
+
+  const pool = poolContract(context, type)
+  const { format, parse } = await poolAmounts(context, pool)
+
+  const balances = {
+    committedBalance: await pool.committedBalanceOf(address),
+    openBalance: await pool.openBalanceOf(address),
+    committedSupply: await pool.committedSupply(),
+    openSupply: await pool.openSupply()
+  }
+
+  const result = calculateOdds(balances)
+
+  console.log(chalk.dim(`Committed ${format(balances.committedBalance)} of ${format(balances.committedSupply)}, open ${format(balances.openBalance)} of ${format(balances.openSupply)}`))
+  console.log(`Committed draw: ${formatOdds(result.current)}`)
+  console.log(`Next draw: ${formatOdds(result.next)}`)
+  console.log(`Expected draws until a win: ${formatDraws(result.expectedDrawsToWin)}`)
+
+  let withDeposit = null
+  if (deposit) {
+    withDeposit = calculateOdds({ ...balances, extraDeposit: parse(deposit) })
+
+    console.log(chalk.dim(`With another ${deposit} deposited, ${format(withDeposit.nextBalance)} of ${format(withDeposit.nextSupply)} would be committed`))
+    console.log(`Next draw: ${formatOdds(withDeposit.next)}`)
+    console.log(`Expected draws until a win: ${formatDraws(withDeposit.expectedDrawsToWin)}`)
+  }
+
+  console.log(chalk.green('Done odds.'))
+
+  return {
+    odds: result,
+    withDeposit
+  }
+}
+
+module.exports = {
+  odds
+}
@@ -1,5 +1,4 @@
 const chalk = require('chalk')
-const { ethers } = require('ethers')
 const { exec } = require('./exec')
 const chai = require('chai')
 const expect = chai.expect
@@ -7,43 +6,22 @@ const expect = chai.expect
 const {
   MULTISIG_ADMIN1
 } = require('./helpers/constants')
+const { poolConfig, poolContract } = require('./helpers/pools')
+const { generateAll } = require('../utils/generateAll')
 
 const overrides = {
   gasLimit: 6000000
 }
 
-function generateSecret(poolSeed, drawId) {
-  return ethers.utils.solidityKeccak256(
-    ['bytes32', 'uint256'],
-    [poolSeed, drawId]
-  )
-}
-
-function generateSecretHash(secret, salt) {
-  return ethers.utils.solidityKeccak256(
-    ['bytes32', 'bytes32'],
-    [secret, salt]
-  )
-}
-
-async function openNextDraw(context, type = 'sai') {
+async function openNextDraw(context, type = 'sai', keystore) {
   console.log(chalk.yellow(`Opening next draw for ${type} pool...`))
 
   const {
-    provider,
-    contracts
+    provider
   } = context
 
   const signer = provider.getSigner(MULTISIG_ADMIN1)
-  let pool
-
-  switch (type.toLowerCase()) {
-    case 'dai':
-      pool = contracts.PoolDai.connect(signer)
-      break
-    default:
-      pool = contracts.PoolSai.connect(signer)
-  }
+  const pool = poolContract(context, type, signer)
 
   expect(await pool.isAdmin(MULTISIG_ADMIN1)).to.equal(true)
 
@@ -51,17 +29,7 @@ async function openNextDraw(context, type = 'sai') {
   let nextDrawId = currentOpenDrawId.add('1')
   let currentCommittedDrawId = await pool.currentCommittedDrawId()
 
-  let poolSeed = process.env.SECRET_SEED
-  let poolSaltSeed = process.env.SALT_SEED
-
-  if (!poolSeed || !poolSaltSeed) {
-    console.error('no seed or salt defined')
-    return
-  }
-
-  let secret = generateSecret(poolSeed, nextDrawId)
-  let salt = generateSecret(poolSaltSeed, nextDrawId)
-  let secretHash = generateSecretHash(secret, salt)
+  let { secretHash } = generateAll(keystore, poolConfig(type).key, pool.address, nextDrawId)
 
   console.log({
     currentCommittedDrawId: currentCommittedDrawId.toString(),
@@ -1,30 +1,20 @@
 const { fetchUsers } = require('./fetchUsers')
 const chalk = require('chalk')
+const { poolContract } = require('./helpers/pools')
+const { poolAmounts } = require('./helpers/amounts')
 
 async function poolBalances (context, type, count = '10') {
   console.log(chalk.yellow(`Checking ${type} balances...`))
-  const {
-    contracts,
-    ethers
-  } = context
+  const pool = poolContract(context, type)
+  const { format } = await poolAmounts(context, pool)
 
-  const users = await fetchUsers(parseInt(count, 10))
-
-  let pool
-
-  switch (type) {
-    case 'dai':
-      pool = contracts.PoolDai
-      break
-    default:
-      pool = contracts.PoolSai
-  }
+  const users = await fetchUsers(parseInt(count, 10), 0, type)
 
   for (let i = 0; i < users.length; i++) {
     const user = users[i].address
     console.log(chalk.dim(`Checking balance for ${user}...`))
     const balance = await pool.balanceOf(user)
-    console.log(chalk.dim(`${type} balance for ${user}: ${ethers.utils.formatEther(balance)}`))
+    console.log(chalk.dim(`${type} balance for ${user}: ${format(balance)}`))
   }
 
   console.log(chalk.green('Done balances.'))
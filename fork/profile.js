@@ -0,0 +1,87 @@
+const fs = require('fs')
+const chalk = require('chalk')
+const { addressBook } = require('./helpers/decodeCall')
+const { loadBuild, matchCode } = require('./helpers/sourceMaps')
+const { traceAddresses, foldTrace, summarizeProfile, formatFoldedStacks } = require('../utils/gasProfile')
+
+/**
+ * Breaks down the gas a transaction used by call frame and function, such as DrawManager.deposit or
+ * SortitionSumTreeFactory.set.  Functions are found through the source maps of the build, so only contracts whose code
+ * matches it are broken down; other frames are named after their address.
+ * @param options.count The number of rows to print
+ * @param options.output A file to write the folded stacks to, for flamegraph.pl or speedscope
+ * @param options.json Print the rows as JSON instead of a table
+ * @return The rows of { name, self, inclusive } gas, sorted by inclusive gas
+ */
+async function profile(context, hash, options = {}) {
+  const {
+    count = '20',
+    output,
+    json
+  } = options
+
+  const {
+    provider
+  } = context
+
+  console.error(chalk.yellow(`Profiling the gas used by ${hash}...`))
+
+  const tx = await provider.getTransaction(hash)
+  if (!tx) {
+    throw new Error(`Transaction ${hash} was not found`)
+  }
+  if (!tx.to) {
+    throw new Error(`Transaction ${hash} creates a contract, which cannot be profiled`)
+  }
+  const receipt = await provider.getTransactionReceipt(hash)
+
+  const { structLogs } = await provider.send('debug_traceTransaction', [hash, { disableMemory: true, disableStorage: true }])
+
+  const build = loadBuild()
+  const book = addressBook(context)
+  const codes = {}
+  const addresses = traceAddresses(structLogs, tx.to)
+  for (let i = 0; i < addresses.length; i++) {
+    const address = addresses[i]
+    const code = await provider.getCode(address, receipt.blockNumber)
+    codes[address] = matchCode(build, code)
+    if (!codes[address]) {
+      const entry = book[address]
+      console.error(chalk.dim(`No artifact matches the code at ${address}${entry ? ` (${entry.label})` : ''}`))
+    }
+  }
+
+  // frames without source maps are only broken down by the calls they make
+  const codeOf = address => codes[address] || {
+    label: book[address] ? book[address].label : address,
+    functionAt: () => undefined,
+    jumpAt: () => '-'
+  }
+
+  const folded = foldTrace(structLogs, tx.to, codeOf)
+  const rows = summarizeProfile(folded)
+  const total = rows.length ? rows[0].inclusive : 0
+
+  if (output) {
+    fs.writeFileSync(output, formatFoldedStacks(folded))
+    console.error(chalk.dim(`Wrote the folded stacks to ${output}`))
+  }
+
+  if (json) {
+    console.log(JSON.stringify(rows, null, 2))
+  } else {
+    console.log(chalk.dim(`${receipt.gasUsed.toString()} gas used, ${total} of it executing code`))
+    console.table(rows.slice(0, parseInt(count, 10)).map(row => ({
+      ...row,
+      percent: total ? (row.inclusive * 100 / total).toFixed(1) : '0.0'
+    })))
+  }
+
+  console.error(chalk.green(`Done profile for ${hash}.`))
+
+  return rows
+}
+
+module.exports = {
+  profile
+}
@@ -0,0 +1,134 @@
+const chalk = require('chalk')
+const { ethers } = require('ethers')
+const { poolConfig, poolContract } = require('./helpers/pools')
+const { poolAmounts } = require('./helpers/amounts')
+const { POOL_EVENTS, SPONSORSHIP_EVENTS, TOKEN_EVENTS, fetchEvents } = require('./helpers/poolEvents')
+const { reconcileBalances } = require('../utils/reconcileBalances')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// the event arguments that hold a user address
+const USER_ARGS = ['sender', 'winner', 'from', 'to']
+
+// balanceOfUnderlying accrues interest so it is not a view; call it without sending a transaction
+async function underlyingBalanceOf(provider, cToken, address, blockTag) {
+  const fn = cToken.interface.functions.balanceOfUnderlying
+  return fn.decode(await provider.call({ to: cToken.address, data: fn.encode([address]) }, blockTag))[0]
+}
+
+/**
+ * Lists every address that has appeared in the pool or pool token events.
+ */
+function eventUsers(events) {
+  const users = {}
+  events.forEach(event => {
+    USER_ARGS.forEach(arg => {
+      const address = event.values[arg]
+      if (address && address !== ZERO_ADDRESS) {
+        users[address.toLowerCase()] = ethers.utils.getAddress(address)
+      }
+    })
+  })
+  return Object.values(users)
+}
+
+/**
+ * Checks that the pool holds enough in Compound to cover its accounted balance, that the accounted balance is the sum of
+ * the user balances, and that the user balances less sponsorships and fees are the committed and open supplies.  Every
+ * balance is read at the same block.
+ * @param options.tolerance The largest difference, in tokens, that is not reported as drift
+ * @param options.fromBlock The block to read events from when finding users.  Must be at or before the pool was created
+ * @param options.json Print the report as JSON instead of a table
+ * @return The report
+ */
+async function reconcile(context, type, options = {}) {
+  const {
+    tolerance = '0',
+    fromBlock = '0',
+    json = false
+  } = options
+
+  const {
+    provider,
+    artifacts
+  } = context
+
+  const { key } = poolConfig(type)
+  const pool = poolContract(context, type)
+  const { format, parse } = await poolAmounts(context, pool)
+
+  if (!json) {
+    console.log(chalk.yellow(`Reconciling the ${key} pool...`))
+  }
+
+  const blockTag = await provider.getBlockNumber()
+  const sources = [{ contract: pool, names: POOL_EVENTS.concat(SPONSORSHIP_EVENTS) }]
+  const tokenAddress = await pool.poolToken({ blockTag })
+  if (tokenAddress !== ZERO_ADDRESS) {
+    sources.push({ contract: new ethers.Contract(tokenAddress, artifacts.PoolToken.abi, provider), names: TOKEN_EVENTS })
+  }
+  const users = eventUsers(await fetchEvents(provider, sources, parseInt(fromBlock, 10), blockTag))
+
+  if (!json) {
+    console.log(chalk.dim(`Summing the balances of ${users.length} users at block ${blockTag}...`))
+  }
+
+  let totalBalance = ethers.constants.Zero
+  let sponsorshipAndFeeBalance = ethers.constants.Zero
+  for (let i = 0; i < users.length; i++) {
+    totalBalance = totalBalance.add(await pool.totalBalanceOf(users[i], { blockTag }))
+    sponsorshipAndFeeBalance = sponsorshipAndFeeBalance.add(await pool.sponsorshipAndFeeBalanceOf(users[i], { blockTag }))
+  }
+
+  const cToken = new ethers.Contract(await pool.cToken({ blockTag }), artifacts.ICErc20.abi, provider)
+  const balances = {
+    underlyingBalance: await underlyingBalanceOf(provider, cToken, pool.address, blockTag),
+    accountedBalance: await pool.accountedBalance({ blockTag }),
+    totalBalance,
+    sponsorshipAndFeeBalance,
+    committedSupply: await pool.committedSupply({ blockTag }),
+    openSupply: await pool.openSupply({ blockTag })
+  }
+
+  const checks = reconcileBalances({ ...balances, tolerance: parse(tolerance) })
+  const drifted = checks.filter(check => !check.ok)
+
+  const result = {
+    pool: key,
+    blockNumber: blockTag,
+    users: users.length,
+    tolerance,
+    balances: Object.keys(balances).reduce((formatted, name) => ({ ...formatted, [name]: format(balances[name]) }), {}),
+    checks: checks.map(check => ({
+      name: check.name,
+      expected: format(check.expected),
+      actual: format(check.actual),
+      drift: format(check.drift),
+      ok: check.ok
+    }))
+  }
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2))
+  } else {
+    console.table(result.balances)
+    console.table(result.checks)
+    drifted.forEach(check => {
+      console.log(chalk.red(`${check.name} has drifted by ${format(check.drift)}, more than the tolerance of ${tolerance}`))
+    })
+  }
+
+  if (drifted.length) {
+    throw new Error(`The ${key} pool has drifted: ${drifted.map(check => check.name).join(', ')}`)
+  }
+
+  if (!json) {
+    console.log(chalk.green('Done reconcile.'))
+  }
+
+  return result
+}
+
+module.exports = {
+  reconcile
+}
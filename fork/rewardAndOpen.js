@@ -1,5 +1,4 @@
 const chalk = require('chalk')
-const { ethers } = require('ethers')
 const { exec } = require('./exec')
 const chai = require('chai')
 const expect = chai.expect
@@ -7,43 +6,24 @@ const expect = chai.expect
 const {
   MULTISIG_ADMIN1
 } = require('./helpers/constants')
+const { poolConfig, poolContract } = require('./helpers/pools')
+const { generateAll } = require('../utils/generateAll')
+const { poolAmounts } = require('./helpers/amounts')
+const { checkDrawSecret } = require('./helpers/checkDrawSecret')
 
 const overrides = {
   gasLimit: 6000000
 }
 
-function generateSecret(poolSeed, drawId) {
-  return ethers.utils.solidityKeccak256(
-    ['bytes32', 'uint256'],
-    [poolSeed, drawId]
-  )
-}
-
-function generateSecretHash(secret, salt) {
-  return ethers.utils.solidityKeccak256(
-    ['bytes32', 'bytes32'],
-    [secret, salt]
-  )
-}
-
-async function rewardAndOpen(context, type = 'sai') {
+async function rewardAndOpen(context, type = 'sai', keystore) {
   console.log(chalk.yellow(`Rewarding ${type} pool...`))
 
   const {
-    provider,
-    contracts
+    provider
   } = context
 
   const signer = provider.getSigner(MULTISIG_ADMIN1)
-  let pool
-
-  switch (type.toLowerCase()) {
-    case 'dai':
-      pool = contracts.PoolDai.connect(signer)
-      break
-    default:
-      pool = contracts.PoolSai.connect(signer)
-  }
+  const pool = poolContract(context, type, signer)
 
   expect(await pool.isAdmin(MULTISIG_ADMIN1)).to.equal(true)
 
@@ -51,17 +31,7 @@ async function rewardAndOpen(context, type = 'sai') {
   let nextDrawId = currentOpenDrawId.add('1')
   let currentCommittedDrawId = await pool.currentCommittedDrawId()
 
-  let poolSeed = process.env.SECRET_SEED
-  let poolSaltSeed = process.env.SALT_SEED
-
-  if (!poolSeed || !poolSaltSeed) {
-    console.error('no seed or salt defined')
-    return
-  }
-
-  let secret = generateSecret(poolSeed, nextDrawId)
-  let salt = generateSecret(poolSaltSeed, nextDrawId)
-  let secretHash = generateSecretHash(secret, salt)
+  let { secretHash } = generateAll(keystore, poolConfig(type).key, pool.address, nextDrawId)
 
   console.log({
     currentCommittedDrawId: currentCommittedDrawId.toString(),
@@ -73,8 +43,7 @@ async function rewardAndOpen(context, type = 'sai') {
   if (currentCommittedDrawId.toString() === '0') {
     await exec(provider, pool.openNextDraw(secretHash, overrides))
   } else {
-    let lastSalt = generateSecret(poolSaltSeed, currentCommittedDrawId)
-    let lastSecret = generateSecret(poolSeed, currentCommittedDrawId)
+    let { secret: lastSecret, salt: lastSalt } = await checkDrawSecret(pool, keystore, poolConfig(type).key, currentCommittedDrawId)
 
     await exec(provider, pool.lockTokens())
     await exec(provider, pool.rewardAndOpenNextDraw(secretHash, lastSecret, lastSalt, overrides))
@@ -83,7 +52,9 @@ async function rewardAndOpen(context, type = 'sai') {
 
     let winnerBalance = await pool.balanceOf(draw.winner)
 
-    console.log(chalk.green(`Address ${draw.winner} won ${ethers.utils.formatEther(draw.netWinnings)} with ${ethers.utils.formatEther(winnerBalance)}`))
+    const { format } = await poolAmounts(context, pool)
+
+    console.log(chalk.green(`Address ${draw.winner} won ${format(draw.netWinnings)} with ${format(winnerBalance)}`))
   }
 
   console.log(chalk.green('Done reward.'))
@@ -0,0 +1,169 @@
+const fs = require('fs')
+const chalk = require('chalk')
+const { loadForkState } = require('./helpers/forkConfig')
+
+// where named snapshots are saved, so that they outlive the command that took them
+const SNAPSHOTS_PATH = '.snapshots.json'
+
+function loadSnapshots(path = SNAPSHOTS_PATH) {
+  if (!fs.existsSync(path)) {
+    return {}
+  }
+  return JSON.parse(fs.readFileSync(path))
+}
+
+function saveSnapshots(snapshots, path = SNAPSHOTS_PATH) {
+  fs.writeFileSync(path, JSON.stringify(snapshots, null, 2))
+}
+
+/**
+ * Checks that a snapshot was taken on the running fork.  Snapshots do not survive a restart of ganache, whose snapshot ids
+ * start over.  A fork started afresh has different block hashes, but one resumed from its db keeps them, so snapshots
+ * also record when the fork they were taken on was started.
+ */
+async function isLive(provider, snapshot) {
+  const { startedAt } = loadForkState()
+  if (startedAt && snapshot.forkStartedAt !== startedAt) {
+    return false
+  }
+  const block = await provider.getBlock(snapshot.blockNumber)
+  return !!block && block.hash === snapshot.blockHash
+}
+
+// ganache drops every snapshot taken after the one it reverts to
+function snapshotsBefore(snapshots, id) {
+  return Object.keys(snapshots)
+    .filter(name => parseInt(snapshots[name].id, 16) < parseInt(id, 16))
+    .reduce((kept, name) => ({ ...kept, [name]: snapshots[name] }), {})
+}
+
+async function evmSnapshot(provider) {
+  const id = await provider.send('evm_snapshot', [])
+  const block = await provider.getBlock('latest')
+  return {
+    id,
+    blockNumber: block.number,
+    blockHash: block.hash,
+    forkStartedAt: loadForkState().startedAt,
+    takenAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Snapshots the fork with evm_snapshot and saves the snapshot under a name.
+ * @param name Defaults to the number of the latest block
+ */
+async function takeSnapshot(context, name, options = {}) {
+  const {
+    path = SNAPSHOTS_PATH
+  } = options
+
+  const {
+    provider
+  } = context
+
+  const snapshots = loadSnapshots(path)
+  const names = Object.keys(snapshots)
+  for (let i = 0; i < names.length; i++) {
+    if (!await isLive(provider, snapshots[names[i]])) {
+      console.log(chalk.dim(`Forgetting snapshot ${names[i]}, which was taken before the fork restarted`))
+      delete snapshots[names[i]]
+    }
+  }
+
+  const snapshot = await evmSnapshot(provider)
+  name = name || `block-${snapshot.blockNumber}`
+  if (snapshots[name]) {
+    console.log(chalk.dim(`Replacing snapshot ${name}`))
+  }
+  snapshots[name] = snapshot
+  saveSnapshots(snapshots, path)
+
+  console.log(chalk.green(`Saved snapshot ${name} at block ${snapshot.blockNumber}.`))
+
+  return name
+}
+
+/**
+ * Reverts the fork to a named snapshot with evm_revert.  The snapshot is taken again afterwards so that it can be
+ * reverted to repeatedly, but snapshots taken after it are lost.
+ * @param name Defaults to the latest snapshot
+ */
+async function revertSnapshot(context, name, options = {}) {
+  const {
+    path = SNAPSHOTS_PATH
+  } = options
+
+  const {
+    provider
+  } = context
+
+  const snapshots = loadSnapshots(path)
+  const names = Object.keys(snapshots).sort((a, b) => parseInt(snapshots[a].id, 16) - parseInt(snapshots[b].id, 16))
+  if (!names.length) {
+    throw new Error(`No snapshots are saved in ${path}.  Take one with 'yarn fork snapshot'`)
+  }
+  name = name || names[names.length - 1]
+  const snapshot = snapshots[name]
+  if (!snapshot) {
+    throw new Error(`Unknown snapshot '${name}'.  Must be one of ${names.join(' | ')}`)
+  }
+  if (!await isLive(provider, snapshot)) {
+    throw new Error(`Snapshot ${name} was taken before the fork restarted, so it can no longer be reverted to`)
+  }
+
+  console.log(chalk.yellow(`Reverting to snapshot ${name} at block ${snapshot.blockNumber}...`))
+
+  if (!await provider.send('evm_revert', [snapshot.id])) {
+    throw new Error(`The fork has no snapshot ${snapshot.id} for ${name}`)
+  }
+
+  const kept = snapshotsBefore(snapshots, snapshot.id)
+  names.filter(other => other !== name && !kept[other]).forEach(other => {
+    console.log(chalk.dim(`Forgetting snapshot ${other}, which was taken after ${name}`))
+  })
+  kept[name] = await evmSnapshot(provider)
+  saveSnapshots(kept, path)
+
+  console.log(chalk.green(`Reverted to snapshot ${name}.`))
+}
+
+/**
+ * Lists the saved snapshots, and whether each can still be reverted to.
+ */
+async function listSnapshots(context, options = {}) {
+  const {
+    path = SNAPSHOTS_PATH
+  } = options
+
+  const {
+    provider
+  } = context
+
+  const snapshots = loadSnapshots(path)
+  const names = Object.keys(snapshots).sort((a, b) => parseInt(snapshots[a].id, 16) - parseInt(snapshots[b].id, 16))
+  if (!names.length) {
+    console.log(chalk.dim(`No snapshots are saved in ${path}`))
+    return
+  }
+
+  const rows = []
+  for (let i = 0; i < names.length; i++) {
+    const { id, blockNumber, takenAt } = snapshots[names[i]]
+    rows.push({
+      name: names[i],
+      id,
+      blockNumber,
+      takenAt,
+      live: await isLive(provider, snapshots[names[i]])
+    })
+  }
+  console.table(rows)
+}
+
+module.exports = {
+  SNAPSHOTS_PATH,
+  takeSnapshot,
+  revertSnapshot,
+  listSnapshots
+}
@@ -1,8 +1,13 @@
+const fs = require('fs')
+const path = require('path')
 const chalk = require('chalk')
+const { ethers } = require('ethers')
 const {
   fetchUsers
  } = require('./fetchUsers')
 const { runShell } = require('./runShell')
+const { POOL_TYPES } = require('./helpers/pools')
+const { loadForkConfig, forkNetworkConfig, saveForkState } = require('./helpers/forkConfig')
 
 const {
   BINANCE_ADDRESS,
@@ -14,16 +19,16 @@ const {
   DAI_BUDDY
 } = require('./helpers/constants')
 
-async function startFork() {
-  console.log(chalk.green('Starting fork...'))
-  const ganache = require("ganache-cli");
-
-  runShell(`cp .openzeppelin/mainnet.json .openzeppelin/dev-999.json`)
-  runShell(`cp .oz-migrate/mainnet .oz-migrate/mainnet_fork`)
+// what a persisted fork was started from, kept beside ganache's chain so that restarts fork the same block
+const DB_FORK_FILE = 'fork.json'
+const DB_CHAIN_DIRECTORY = 'chain'
 
-  const users = await fetchUsers()
-
-  const unlockedAccounts = users.map(user => user.address).concat([
+/**
+ * Lists the accounts to unlock: the admins and token holders the fork actions use, the accounts in the accounts file and
+ * the largest players of each pool.
+ */
+async function unlockedAccounts(config) {
+  let accounts = [
     BINANCE_ADDRESS,
     HD_FIRST_ADDRESS,
     process.env.ADMIN_ADDRESS,
@@ -32,29 +37,110 @@ async function startFork() {
     MULTISIG_ADMIN1,
     MULTISIG_ADMIN2,
     DAI_BUDDY
-  ])
+  ]
+
+  if (config.accounts) {
+    const listed = JSON.parse(fs.readFileSync(config.accounts))
+    if (!Array.isArray(listed)) {
+      throw new Error(`${config.accounts} must hold a JSON array of addresses`)
+    }
+    accounts = accounts.concat(listed)
+  }
+
+  const count = parseInt(config.indexedAccounts, 10)
+  if (count > 0) {
+    for (let i = 0; i < POOL_TYPES.length; i++) {
+      accounts = accounts.concat((await fetchUsers(count, 0, POOL_TYPES[i])).map(user => user.address))
+    }
+  }
+
+  return accounts
+    .filter(account => account)
+    .map(account => ethers.utils.getAddress(account))
+    .filter((account, index, all) => all.indexOf(account) === index)
+}
+
+/**
+ * Starts a ganache fork of mainnet.  Settings are read from fork.config.json, or FORK_CONFIG_PATH, and can be overridden
+ * by the options.
+ * @param options.forkBlock The mainnet block to fork.  Defaults to the latest block
+ * @param options.port The port to serve the fork on
+ * @param options.chainId The network id of the fork, which its OpenZeppelin network file is named after
+ * @param options.accounts A JSON file listing more accounts to unlock
+ * @param options.indexedAccounts The number of largest players of each pool to unlock.  0 skips the indexer
+ * @param options.db A directory to keep the fork's chain in.  Restarting with the same directory resumes the fork where
+ * it left off, including the contracts pushed to it
+ */
+async function startFork(options = {}) {
+  const config = loadForkConfig(options)
+  const forkUrl = process.env.GANACHE_FORK_URL
+  if (!forkUrl) {
+    throw new Error('Set GANACHE_FORK_URL to the mainnet node to fork')
+  }
 
-  console.log(chalk.dim(`Unlocked: \n\t${unlockedAccounts.join('\n\t')}`))
+  const port = parseInt(config.port, 10)
+  const chainId = parseInt(config.chainId, 10)
+  let forkBlock = config.forkBlock === undefined ? undefined : parseInt(config.forkBlock, 10)
 
+  const forkFile = config.db ? path.join(config.db, DB_FORK_FILE) : undefined
+  const resuming = !!forkFile && fs.existsSync(forkFile)
+  if (resuming) {
+    const saved = JSON.parse(fs.readFileSync(forkFile))
+    if (forkBlock !== undefined && forkBlock !== saved.forkBlock) {
+      throw new Error(`${config.db} holds a fork of block ${saved.forkBlock}.  Remove it to fork block ${forkBlock}`)
+    }
+    if (chainId !== saved.chainId) {
+      throw new Error(`${config.db} holds a fork with chain id ${saved.chainId}.  Remove it to use chain id ${chainId}`)
+    }
+    forkBlock = saved.forkBlock
+  } else if (forkBlock === undefined) {
+    forkBlock = await new ethers.providers.JsonRpcProvider(forkUrl).getBlockNumber()
+  }
+
+  console.log(chalk.green(`${resuming ? 'Resuming' : 'Starting'} fork of block ${forkBlock}...`))
+
+  // a resumed fork keeps the network file it was pushed to
+  if (!resuming) {
+    runShell(`cp .openzeppelin/mainnet.json ${forkNetworkConfig({ chainId })}`)
+    runShell(`cp .oz-migrate/mainnet .oz-migrate/mainnet_fork`)
+  }
+
+  const accounts = await unlockedAccounts(config)
+  console.log(chalk.dim(`Unlocked: \n\t${accounts.join('\n\t')}`))
+
+  let dbPath
+  if (config.db) {
+    dbPath = path.join(config.db, DB_CHAIN_DIRECTORY)
+    fs.mkdirSync(dbPath, { recursive: true })
+  }
+
+  const ganache = require("ganache-cli");
   const server = ganache.server({
-    fork: process.env.GANACHE_FORK_URL,
-    unlocked_accounts: unlockedAccounts,
-    network_id: 999,
-    gasLimit: 20000000,
-    defaultTransactionGasLimit: 20000000,
-    allowUnlimitedContractSize: true
+    fork: `${forkUrl}@${forkBlock}`,
+    unlocked_accounts: accounts,
+    network_id: chainId,
+    gasLimit: config.gasLimit,
+    defaultTransactionGasLimit: config.gasLimit,
+    allowUnlimitedContractSize: true,
+    db_path: dbPath
   });
 
   await new Promise((resolve, reject) => {
-    server.listen('8546', function(err, blockchain) {
+    server.listen(port, function(err, blockchain) {
       if (err) { reject(err) }
       if (blockchain) { resolve(blockchain) }
     })
   })
 
-  console.log(chalk.green('Started fork'))
+  if (forkFile && !resuming) {
+    fs.writeFileSync(forkFile, JSON.stringify({ forkBlock, chainId }, null, 2))
+  }
+  // a resumed fork keeps its block hashes but not its snapshots, so snapshots are tied to the start time instead
+  saveForkState({ forkBlock, chainId, port, startedAt: new Date().toISOString() })
+
+  console.log(chalk.green(`Started fork of block ${forkBlock} with chain id ${chainId} on port ${port}`))
 }
 
 module.exports = {
   startFork
-}
\ No newline at end of file
+}
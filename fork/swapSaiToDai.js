@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 const chalk = require('chalk')
 const { exec } = require('./exec')
+const { tokenAmounts } = require('./helpers/amounts')
 const { ethers } = require('ethers')
 const {
   SAI,
@@ -30,16 +31,19 @@ async function swapSaiToDai (context) {
   const dai = new ethers.Contract(DAI, artifacts.ERC20.abi, signer)
   const scdMcd = new ethers.Contract(SCD_MCD_MIGRATION, artifacts.ScdMcdMigration.abi, signer)
 
-  console.log(chalk.yellow(`Dai balance: ${ethers.utils.formatEther(await dai.balanceOf(user))}`))
-  console.log(chalk.yellow(`Sai balance: ${ethers.utils.formatEther(await sai.balanceOf(user))}`))
+  const daiAmounts = await tokenAmounts(context, DAI)
+  const saiAmounts = await tokenAmounts(context, SAI)
+
+  console.log(chalk.yellow(`Dai balance: ${daiAmounts.format(await dai.balanceOf(user))}`))
+  console.log(chalk.yellow(`Sai balance: ${saiAmounts.format(await sai.balanceOf(user))}`))
 
   const transferAmount = '1'
-  console.log(chalk.dim(`Transferring ${ethers.utils.formatEther(transferAmount)} to ${user}`))
+  console.log(chalk.dim(`Transferring ${saiAmounts.format(transferAmount)} to ${user}`))
   await exec(provider, sai.approve(SCD_MCD_MIGRATION, transferAmount, overrides))
   const { receipt } = await exec(provider, scdMcd.swapSaiToDai(transferAmount, overrides))
 
   console.log('Swapped: ', receipt.gasUsed.toString())
-  console.log(chalk.green(`New dai balance: ${ethers.utils.formatEther(await dai.balanceOf(user))}`))
+  console.log(chalk.green(`New dai balance: ${daiAmounts.format(await dai.balanceOf(user))}`))
   console.log(chalk.green('Completed swapSaiToDai.'))
 }
 
@@ -1,18 +1,42 @@
 const chalk = require('chalk')
+const { replayRevertReason, logRevert } = require('./exec')
+const { printRevertTrace } = require('./traceProvider')
+const { decodeCall, formatCall } = require('./helpers/decodeCall')
 
+/**
+ * Decodes a mined transaction and, if it reverted, prints its revert reason and Solidity stack trace.
+ */
 async function trace(context, hash) {
   console.log(chalk.yellow(`Starting trace for ${hash}...`))
   const {
     provider
   } = context
 
-  const result = await provider.send("debug_traceTransaction", [hash, {}])
+  const tx = await provider.getTransaction(hash)
+  if (!tx) {
+    throw new Error(`Transaction ${hash} was not found`)
+  }
+  const receipt = await provider.getTransactionReceipt(hash)
 
-  console.log(result)
+  console.log(chalk.dim(`Sent by ${tx.from} in block ${receipt.blockNumber}, using ${receipt.gasUsed.toString()} gas`))
+  if (!tx.to) {
+    throw new Error(`Transaction ${hash} creates a contract, which sol-trace cannot trace`)
+  }
+  formatCall(await decodeCall(context, tx.to, tx.data), '  ').forEach(line => console.log(chalk.dim(line)))
+
+  if (receipt.status === 1) {
+    console.log(chalk.dim('The transaction succeeded, so there is no revert to trace'))
+  } else {
+    const reason = await replayRevertReason(provider, tx, receipt)
+    if (reason) {
+      logRevert(reason)
+    }
+    await printRevertTrace(context, tx)
+  }
 
   console.log(chalk.green(`Done trace for ${hash}.`))
 }
 
 module.exports = {
   trace
-}
\ No newline at end of file
+}
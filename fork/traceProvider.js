@@ -2,10 +2,8 @@ const {
   BINANCE
 } = require('./helpers/constants')
 
-function traceProvider({ rpcUrl }) {
+function revertTraceSubprovider() {
   const { TruffleArtifactAdapter } = require('@0x/sol-trace')
-  const ProviderEngine = require('web3-provider-engine')
-  const RpcSubprovider = require('web3-provider-engine/subproviders/rpc.js')
   const { RevertTraceSubprovider } = require('@0x/sol-trace')
 
   const projectRoot = '.';
@@ -13,16 +11,56 @@ function traceProvider({ rpcUrl }) {
   const artifactAdapter = new TruffleArtifactAdapter(projectRoot, solcVersion);
 
   const defaultFromAddress = BINANCE; // Some ethereum address with test funds
-  const revertTraceSubprovider = new RevertTraceSubprovider(artifactAdapter, defaultFromAddress);
+  return new RevertTraceSubprovider(artifactAdapter, defaultFromAddress);
+}
+
+// the engines started by traceProvider, which poll for blocks until they are stopped
+const engines = []
+
+/**
+ * Builds a provider that prints a Solidity stack trace, against the sources in build/contracts, whenever a transaction,
+ * call or gas estimate reverts.  The provider polls for blocks, which keeps the process running until it is stopped
+ * with stopTraceProviders.
+ * @param subprovider The RevertTraceSubprovider to use, so that callers can print traces with it directly
+ */
+function traceProvider({ rpcUrl, subprovider = revertTraceSubprovider() }) {
+  const ProviderEngine = require('web3-provider-engine')
+  const RpcSubprovider = require('web3-provider-engine/subproviders/rpc.js')
 
   const providerEngine = new ProviderEngine()
-  providerEngine.addProvider(revertTraceSubprovider)
+  providerEngine.addProvider(subprovider)
   providerEngine.addProvider(new RpcSubprovider({rpcUrl}))
   providerEngine.start()
+  engines.push(providerEngine)
 
   return providerEngine
 }
 
+/**
+ * Stops the block polling of every provider built by traceProvider, so that the process can exit.
+ */
+function stopTraceProviders() {
+  engines.splice(0).forEach(providerEngine => providerEngine.stop())
+}
+
+/**
+ * Prints the Solidity stack trace of a mined transaction if it reverted.  Contracts are matched to the build by the
+ * bytecode they have now, so transactions sent to implementations that have since been replaced are not decoded.
+ */
+async function printRevertTrace({ rpcUrl }, tx) {
+  const subprovider = revertTraceSubprovider()
+  traceProvider({ rpcUrl, subprovider })
+  try {
+    // sol-trace only traces transactions as they are sent, so the hook it records them with is called directly for one
+    // that is already mined.  It is private, which is why package.json pins @0x/sol-trace to an exact version
+    await subprovider._recordTxTraceAsync(tx.to, tx.data, tx.hash)
+  } finally {
+    stopTraceProviders()
+  }
+}
+
 module.exports = {
-  traceProvider
-}
\ No newline at end of file
+  traceProvider,
+  stopTraceProviders,
+  printRevertTrace
+}
@@ -1,6 +1,8 @@
 #!/usr/bin/env node
+const fs = require('fs')
 const chalk = require('chalk')
 const { upgradeProxy } = require('./helpers/upgradeProxy')
+const { DEPLOYED_CONFIG, deployedLayout, assertUpgradeSafe } = require('./checkStorage')
 
 async function upgrade (context) {
   console.log(chalk.yellow('Upgrading proxies using deployed implementations...'))
@@ -12,7 +14,9 @@ async function upgrade (context) {
 
   // Expect the user to have pushed the contracts
   let networkConfig = loadNetworkConfig()
+  const deployedConfig = JSON.parse(fs.readFileSync(DEPLOYED_CONFIG))
   const proxyNames = Object.keys(networkConfig.proxies)
+  const upgrades = []
   for (let i = 0; i < proxyNames.length; i++) {
     let proxyName = proxyNames[i]
     proxyName = proxyName.replace('pooltogether/', '')
@@ -21,12 +25,19 @@ async function upgrade (context) {
     const newImpl = networkConfig.contracts[proxyName]
     const currentImplAddress = await contracts.ProxyAdmin.getProxyImplementation(contract.address)
     if (currentImplAddress != newImpl.address) {
-      console.log(chalk.yellow(`Upgrading ${proxyName} at ${contract.address} from implementation at ${currentImplAddress} to ${newImpl.address}...`))
-      await upgradeProxy(context, contract.address, newImpl.address)
-      console.log(chalk.green(`Successfully upgraded ${proxyName} to new implementation at ${newImpl.address}`))
+      // check every layout before upgrading anything so that a bad layout doesn't leave the proxies half upgraded
+      assertUpgradeSafe(proxyName, deployedLayout(deployedConfig, proxyName), newImpl)
+      upgrades.push({ proxyName, contract, newImpl, currentImplAddress })
     }
   }
 
+  for (let i = 0; i < upgrades.length; i++) {
+    const { proxyName, contract, newImpl, currentImplAddress } = upgrades[i]
+    console.log(chalk.yellow(`Upgrading ${proxyName} at ${contract.address} from implementation at ${currentImplAddress} to ${newImpl.address}...`))
+    await upgradeProxy(context, contract.address, newImpl.address)
+    console.log(chalk.green(`Successfully upgraded ${proxyName} to new implementation at ${newImpl.address}`))
+  }
+
   console.log(chalk.green("Upgraded."))
 }
 
@@ -0,0 +1,210 @@
+const chalk = require('chalk')
+const { ethers } = require('ethers')
+const MultisigAbi = require('./GnosisMultisigAbi')
+const { poolConfig, poolContract } = require('./helpers/pools')
+const { poolAmounts } = require('./helpers/amounts')
+const { fetchPoolEvents, replayPoolEvents, isBefore } = require('./helpers/poolEvents')
+const { uniform } = require('../utils/uniformRandomNumber')
+const { generateSecretHash } = require('../utils/generateSecretHash')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+const ROLLED_OVER_ENTROPY = '0x0000000000000000000000000000000000000000000000000000000000000001'
+
+/**
+ * Returns the calldata of the reward transaction.  When the pool admin is a Gnosis multisig the reward is sent from the
+ * multisig, so the calldata of each multisig transaction executed in it is included too.
+ */
+async function rewardCalldata(provider, transactionHash) {
+  const tx = await provider.getTransaction(transactionHash)
+  const receipt = await provider.getTransactionReceipt(transactionHash)
+  const multisigInterface = new ethers.utils.Interface(MultisigAbi)
+  const executionTopic = multisigInterface.events.Execution.topic
+
+  const calldata = [tx.data]
+  const executions = receipt.logs.filter(log => log.topics[0] === executionTopic)
+  for (let i = 0; i < executions.length; i++) {
+    const { values } = multisigInterface.parseLog(executions[i])
+    const multisig = new ethers.Contract(executions[i].address, MultisigAbi, provider)
+    calldata.push((await multisig.transactions(values.transactionId)).data)
+  }
+
+  return calldata
+}
+
+// every 32 byte word of the calldata, at any byte offset
+function calldataWords(calldata) {
+  const words = []
+  calldata.forEach(data => {
+    const bytes = ethers.utils.arrayify(data)
+    for (let i = 0; i + 32 <= bytes.length; i++) {
+      words.push(ethers.utils.hexlify(bytes.slice(i, i + 32)))
+    }
+  })
+  return words
+}
+
+/**
+ * Finds the secret and salt revealed in the reward transaction by matching them against the entropy and secret hash.
+ */
+async function revealedSecret(provider, transactionHash, entropy, secretHash) {
+  const words = calldataWords(await rewardCalldata(provider, transactionHash))
+
+  const secret = words.find(word => ethers.utils.keccak256(word) === entropy)
+  if (!secret) {
+    throw new Error(`Could not find the revealed secret in transaction ${transactionHash}.  Pass it with --secret`)
+  }
+  const salt = words.find(word => generateSecretHash(secret, word) === secretHash)
+  if (!salt) {
+    throw new Error(`Could not find the revealed salt in transaction ${transactionHash}.  Pass it with --salt`)
+  }
+
+  return { secret, salt }
+}
+
+async function findEvent(provider, pool, filter, fromBlock) {
+  const logs = await provider.getLogs({ ...filter, fromBlock, toBlock: 'latest' })
+  if (!logs.length) {
+    return null
+  }
+  return {
+    ...pool.interface.parseLog(logs[0]),
+    blockNumber: logs[0].blockNumber,
+    logIndex: logs[0].logIndex,
+    transactionHash: logs[0].transactionHash
+  }
+}
+
+/**
+ * Rebuilds the draw state from the pool events emitted before a draw was rewarded, then selects the winner again from the
+ * revealed secret.  Only reads public chain data, so anyone can check a draw.
+ * @param options.fromBlock The block to replay events from.  Must be at or before the pool was created
+ * @param options.secret The revealed secret, if it cannot be found in the reward transaction
+ * @param options.salt The revealed salt, if it cannot be found in the reward transaction
+ * @return The verification report
+ */
+async function verifyDraw(context, type, drawId, options = {}) {
+  const {
+    fromBlock = '0',
+    json = false
+  } = options
+
+  const {
+    provider
+  } = context
+
+  const { key } = poolConfig(type)
+  const pool = poolContract(context, type)
+  drawId = ethers.utils.bigNumberify(drawId)
+
+  if (!json) {
+    console.log(chalk.yellow(`Verifying ${key} draw ${drawId.toString()}...`))
+  }
+
+  const draw = await pool.getDraw(drawId)
+  if (draw.openedBlock.isZero()) {
+    throw new Error(`${key} draw ${drawId.toString()} has not been opened`)
+  }
+
+  const rewarded = await findEvent(provider, pool, pool.filters.Rewarded(drawId), draw.openedBlock.toNumber())
+  if (!rewarded) {
+    throw new Error(`${key} draw ${drawId.toString()} has not been rewarded`)
+  }
+  const committed = await findEvent(provider, pool, pool.filters.Committed(drawId), draw.openedBlock.toNumber())
+
+  const report = {
+    pool: key,
+    address: pool.address,
+    drawId: drawId.toString(),
+    openedBlock: draw.openedBlock.toString(),
+    committedBlock: committed ? committed.blockNumber.toString() : null,
+    rewardedBlock: rewarded.blockNumber.toString(),
+    rewardTransaction: rewarded.transactionHash,
+    secretHash: draw.secretHash,
+    entropy: rewarded.values.entropy,
+    winner: rewarded.values.winner,
+    checks: {}
+  }
+
+  if (rewarded.values.entropy === ROLLED_OVER_ENTROPY) {
+    report.rolledOver = true
+    report.checks.winner = rewarded.values.winner === ZERO_ADDRESS
+  } else {
+    const { secret, salt } = (options.secret && options.salt)
+      ? { secret: options.secret, salt: options.salt }
+      : await revealedSecret(provider, rewarded.transactionHash, rewarded.values.entropy, draw.secretHash)
+
+    report.secret = secret
+    report.salt = salt
+    report.checks.secretHash = generateSecretHash(secret, salt) === draw.secretHash
+    const entropy = ethers.utils.solidityKeccak256(['bytes32'], [secret])
+    report.checks.entropy = entropy === rewarded.values.entropy
+
+    const events = (await fetchPoolEvents(context, pool, fromBlock, rewarded.blockNumber))
+      .filter(event => isBefore(event, rewarded))
+
+    const drawManager = replayPoolEvents(events)
+    if (drawManager.openDrawIndex() !== drawId.toNumber() + 1) {
+      throw new Error(`Replayed ${drawManager.openDrawIndex()} draws but expected ${drawId.toNumber() + 1}.  Is --from-block at or before the pool was created?`)
+    }
+
+    const committedSupply = drawManager.committedSupply()
+    const { format } = await poolAmounts(context, pool)
+    const winningNumber = committedSupply.isZero() ? null : uniform(entropy, committedSupply)
+    const winner = winningNumber ? drawManager.draw(winningNumber) : ZERO_ADDRESS
+
+    report.replayedEvents = events.length
+    report.committedSupply = format(committedSupply.toString())
+    report.winningNumber = winningNumber ? winningNumber.toString() : null
+    report.calculatedWinner = ethers.utils.getAddress(winner)
+    report.checks.winner = winner.toLowerCase() === rewarded.values.winner.toLowerCase()
+    report.reproduce = `yarn fork verify-draw ${key} ${drawId.toString()} --from-block ${fromBlock} --secret ${secret} --salt ${salt}`
+  }
+
+  report.verified = Object.keys(report.checks).every(check => report.checks[check])
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2))
+  } else {
+    printReport(report)
+  }
+
+  if (!report.verified) {
+    throw new Error(`${key} draw ${drawId.toString()} failed verification`)
+  }
+
+  return report
+}
+
+function printReport(report) {
+  const result = (passed) => passed ? chalk.green('PASS') : chalk.red('FAIL')
+
+  console.log(chalk.dim(`Pool: ${report.pool} (${report.address})`))
+  console.log(chalk.dim(`Draw: ${report.drawId}`))
+  console.log(chalk.dim(`Opened in block ${report.openedBlock}, committed in block ${report.committedBlock}, rewarded in block ${report.rewardedBlock}`))
+  console.log(chalk.dim(`Reward transaction: ${report.rewardTransaction}`))
+  console.log(chalk.dim(`Committed secret hash: ${report.secretHash}`))
+  console.log(chalk.dim(`Recorded entropy: ${report.entropy}`))
+
+  if (report.rolledOver) {
+    console.log(chalk.dim('The draw was rolled over, so it has no winner'))
+    console.log(`${result(report.checks.winner)} no winner was recorded`)
+    return
+  }
+
+  console.log(chalk.dim(`Revealed secret: ${report.secret}`))
+  console.log(chalk.dim(`Revealed salt: ${report.salt}`))
+  console.log(chalk.dim(`Replayed ${report.replayedEvents} events; committed supply was ${report.committedSupply}`))
+  console.log(chalk.dim(`Winning number: ${report.winningNumber}`))
+  console.log(`${result(report.checks.secretHash)} keccak256(secret, salt) matches the committed secret hash`)
+  console.log(`${result(report.checks.entropy)} keccak256(secret) matches the recorded entropy`)
+  console.log(`${result(report.checks.winner)} calculated winner ${report.calculatedWinner} matches the recorded winner ${report.winner}`)
+  console.log(chalk.dim(`Reproduce with: ${report.reproduce}`))
+
+  if (report.verified) {
+    console.log(chalk.green('Draw verified.'))
+  }
+}
+
+module.exports = {
+  verifyDraw
+}
@@ -3,6 +3,8 @@ const assert = require('assert')
 const chalk = require('chalk')
 const { fetchUsers } = require('./fetchUsers')
 const { exec } = require('./exec')
+const { poolContract } = require('./helpers/pools')
+const { poolAmounts } = require('./helpers/amounts')
 
 const {
   BINANCE_ADDRESS
@@ -18,21 +20,13 @@ async function withdrawAndDeposit (context, type, count = '5') {
   const {
     provider,
     artifacts,
-    contracts,
     ethers,
   } = context
 
-  let pool
+  const pool = poolContract(context, type)
+  const { format } = await poolAmounts(context, pool)
 
-  switch (type) {
-    case 'dai':
-      pool = contracts.PoolDai
-      break
-    default:
-      pool = contracts.PoolSai
-  }
-
-  const users = await fetchUsers(parseInt(count, 10))
+  const users = await fetchUsers(parseInt(count, 10), 0, type)
 
   // Now ensure we can withdraw the top 5
   for (let i = 0; i < users.length; i++) {
@@ -53,9 +47,9 @@ async function withdrawAndDeposit (context, type, count = '5') {
     let balance = openBalance.add(committedBalance)
 
     if (balance.gt('0x0')) {
-      console.log(chalk.yellow(`Withdrawing ${ethers.utils.formatEther(balance)} from ${address}...`))
+      console.log(chalk.yellow(`Withdrawing ${format(balance)} from ${address}...`))
       await exec(provider, signingPool.withdraw(overrides))
-      console.log(chalk.green(`Withdrew ${ethers.utils.formatEther(balance)} from ${address}`))
+      console.log(chalk.green(`Withdrew ${format(balance)} from ${address}`))
     } else {
       console.log(chalk.dim(`Skipping withdraw because ${address} has no Pool ${type} balance`))
     }
@@ -66,16 +60,16 @@ async function withdrawAndDeposit (context, type, count = '5') {
     balance = await token.balanceOf(address)
 
     if (balance.gt('0x0')) {
-      console.log(chalk.yellow(`Approving ${ethers.utils.formatEther(balance)} ${type}....`))
+      console.log(chalk.yellow(`Approving ${format(balance)} ${type}....`))
       await exec(provider, token.approve(signingPool.address, balance, overrides))
 
-      console.log(chalk.yellow(`Depositing ${ethers.utils.formatEther(balance)} ${type}....`))
+      console.log(chalk.yellow(`Depositing ${format(balance)} ${type}....`))
       await exec(provider, signingPool.depositPool(balance, overrides))
 
       let poolBalance = await signingPool.openBalanceOf(address)
       assert.equal(poolBalance.toString(), balance.toString())
 
-      console.log(chalk.green(`Deposit Successful. ${address} deposited ${ethers.utils.formatEther(balance)}`))
+      console.log(chalk.green(`Deposit Successful. ${address} deposited ${format(balance)}`))
     } else {
       console.log(chalk.dim(`User ${address} has no ${type} balance, skipping deposit`))
     }
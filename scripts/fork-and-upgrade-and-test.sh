@@ -0,0 +1,14 @@
+#!/bin/sh
+# Upgrades a running fork and checks the pools survive it.  Start the fork first with `yarn fork start`, and compile the
+# contracts to upgrade to.  ADMIN_ADDRESS must be set for the push.  The pools are only rewarded after the upgrade when
+# KEYSTORE_PASSWORD is set, so that the script never prompts.
+set -e
+yarn fork pay
+yarn fork push
+yarn fork check before
+yarn fork upgrade
+if [ -n "$KEYSTORE_PASSWORD" ]; then
+  yarn fork check after
+else
+  yarn fork check after --no-reward
+fi
@@ -0,0 +1,5 @@
+#!/bin/sh
+# Opens oz-console on the fork, using the port and chain id in fork.config.json, or FORK_CONFIG_PATH
+FORK_CONFIG="require('./fork/helpers/forkConfig')"
+NETWORK=${LOCALHOST_URL:-http://127.0.0.1:$(node -p "$FORK_CONFIG.loadForkConfig().port")}
+oz-console --network $NETWORK -c $(node -p "$FORK_CONFIG.forkNetworkConfig()")
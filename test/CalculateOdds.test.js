@@ -0,0 +1,83 @@
+const { ethers } = require('ethers')
+const { calculateOdds } = require('../utils/calculateOdds')
+
+const toWei = (amount) => ethers.utils.parseEther(amount)
+
+contract('calculateOdds', () => {
+
+  it('should give the same odds for both draws when nothing is open', async () => {
+    const odds = calculateOdds({
+      committedBalance: toWei('25'),
+      openBalance: '0',
+      committedSupply: toWei('100'),
+      openSupply: '0'
+    })
+    assert.equal(odds.current, 0.25)
+    assert.equal(odds.next, 0.25)
+    assert.equal(odds.expectedDrawsToWin, 4)
+  })
+
+  it('should commit the open deposits for the next draw', async () => {
+    const odds = calculateOdds({
+      committedBalance: toWei('10'),
+      openBalance: toWei('30'),
+      committedSupply: toWei('100'),
+      openSupply: toWei('100')
+    })
+    assert.equal(odds.current, 0.1)
+    assert.equal(odds.next, 0.2)
+    assert.equal(odds.nextBalance.toString(), toWei('40').toString())
+    assert.equal(odds.nextSupply.toString(), toWei('200').toString())
+    assert.equal(odds.expectedDrawsToWin, 5)
+  })
+
+  it('should add a hypothetical deposit to the next draw only', async () => {
+    const odds = calculateOdds({
+      committedBalance: '0',
+      openBalance: '0',
+      committedSupply: toWei('100'),
+      openSupply: '0',
+      extraDeposit: toWei('100')
+    })
+    assert.equal(odds.current, 0)
+    assert.equal(odds.next, 0.5)
+    assert.equal(odds.nextBalance.toString(), toWei('100').toString())
+    assert.equal(odds.nextSupply.toString(), toWei('200').toString())
+    assert.equal(odds.expectedDrawsToWin, 2)
+  })
+
+  it('should accept decimal strings and big numbers', async () => {
+    const odds = calculateOdds({
+      committedBalance: '1',
+      openBalance: ethers.utils.bigNumberify('0'),
+      committedSupply: '3',
+      openSupply: ethers.utils.bigNumberify('0')
+    })
+    assert.closeTo(odds.current, 1 / 3, 1e-15)
+    assert.closeTo(odds.expectedDrawsToWin, 3, 1e-12)
+  })
+
+  it('should give no chance and never expect a win in an empty pool', async () => {
+    const odds = calculateOdds({
+      committedBalance: '0',
+      openBalance: '0',
+      committedSupply: '0',
+      openSupply: '0'
+    })
+    assert.equal(odds.current, 0)
+    assert.equal(odds.next, 0)
+    assert.equal(odds.expectedDrawsToWin, Infinity)
+  })
+
+  it('should give certain odds to the only depositor', async () => {
+    const odds = calculateOdds({
+      committedBalance: toWei('5'),
+      openBalance: toWei('5'),
+      committedSupply: toWei('5'),
+      openSupply: toWei('5')
+    })
+    assert.equal(odds.current, 1)
+    assert.equal(odds.next, 1)
+    assert.equal(odds.expectedDrawsToWin, 1)
+  })
+})
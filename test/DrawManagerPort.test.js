@@ -0,0 +1,161 @@
+const BN = require('bn.js')
+const SortitionSumTreeFactory = artifacts.require('SortitionSumTreeFactory.sol')
+const DrawManager = artifacts.require('DrawManager.sol')
+const ExposedDrawManager = artifacts.require('ExposedDrawManager.sol')
+const { createDrawManager } = require('../utils/drawManager')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// a small seeded generator so that a failing sequence can be replayed
+function generator(seed) {
+  return function () {
+    seed = (seed + 0x6D2B79F5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function address(index) {
+  return '0x' + (index + 1).toString(16).padStart(40, '0')
+}
+
+contract('drawManager JS port', (accounts) => {
+
+  let exposed, port
+
+  beforeEach(async () => {
+    const sumTree = await SortitionSumTreeFactory.new()
+    await DrawManager.link('SortitionSumTreeFactory', sumTree.address)
+    const dm = await DrawManager.new()
+    await ExposedDrawManager.link('DrawManager', dm.address)
+    exposed = await ExposedDrawManager.new()
+    port = createDrawManager()
+  })
+
+  // applies the operation to both, and requires that they either both succeed or both fail with the same reason
+  async function apply(name, ...args) {
+    let expectedError = null
+    try {
+      await exposed[name](...args)
+    } catch (e) {
+      expectedError = e
+    }
+
+    let error = null
+    try {
+      port[name](...args)
+    } catch (e) {
+      error = e
+    }
+
+    if (expectedError) {
+      assert.ok(error, `${name}(${args.join(', ')}) should have failed with ${expectedError.message}`)
+      assert.include(expectedError.message, error.message)
+    } else if (error) {
+      throw error
+    }
+  }
+
+  async function assertSameState(users, entropy) {
+    assert.equal((await exposed.openDrawIndex()).toString(), port.openDrawIndex().toString(), 'openDrawIndex')
+    assert.equal((await exposed.openSupply()).toString(), port.openSupply().toString(), 'openSupply')
+
+    const committedSupply = port.committedSupply()
+    assert.equal((await exposed.committedSupply()).toString(), committedSupply.toString(), 'committedSupply')
+
+    for (let i = 0; i < users.length; i++) {
+      const user = users[i]
+      assert.equal((await exposed.openBalanceOf(user)).toString(), port.openBalanceOf(user).toString(), `openBalanceOf(${user})`)
+      assert.equal((await exposed.committedBalanceOf(user)).toString(), port.committedBalanceOf(user).toString(), `committedBalanceOf(${user})`)
+      assert.equal((await exposed.firstDrawIndex(user)).toString(), port.consolidatedDrawIndex(user).toString(), `firstDrawIndex(${user})`)
+      assert.equal((await exposed.secondDrawIndex(user)).toString(), port.latestDrawIndex(user).toString(), `secondDrawIndex(${user})`)
+    }
+
+    if (!committedSupply.isZero()) {
+      const tokens = [new BN(0), committedSupply.subn(1), committedSupply.divn(2), committedSupply.divn(3)]
+      for (let i = 0; i < tokens.length; i++) {
+        assert.equal((await exposed.draw(tokens[i].toString())).toLowerCase(), port.draw(tokens[i]), `draw(${tokens[i].toString()})`)
+      }
+    }
+
+    assert.equal((await exposed.drawWithEntropy(entropy)).toLowerCase(), port.drawWithEntropy(entropy), `drawWithEntropy(${entropy})`)
+  }
+
+  async function randomSequence(seed, steps, userCount) {
+    const random = generator(seed)
+    const users = Array.from({ length: userCount }, (_, i) => address(i))
+    const amount = () => (1 + Math.floor(random() * 100)).toString()
+    // from nothing to slightly more than the balance, so that exact and excessive withdrawals are covered
+    const fraction = (balance) => balance.muln(Math.floor(random() * 6)).divn(4).toString()
+
+    for (let step = 0; step < steps; step++) {
+      const user = users[Math.floor(random() * users.length)]
+      const choice = random()
+
+      if (choice < 0.1) {
+        await apply('openNextDraw')
+      } else if (choice < 0.45) {
+        await apply('deposit', user, amount())
+      } else if (choice < 0.6) {
+        await apply('depositCommitted', user, amount())
+      } else if (choice < 0.65) {
+        await apply('withdraw', user)
+      } else if (choice < 0.8) {
+        await apply('withdrawOpen', user, fraction(port.openBalanceOf(user)))
+      } else {
+        await apply('withdrawCommitted', user, fraction(port.committedBalanceOf(user)))
+      }
+
+      await assertSameState(users, web3.utils.soliditySha3(seed, step))
+    }
+  }
+
+  it('should fail the same way when there is no draw', async () => {
+    await apply('deposit', address(0), '10')
+    await apply('withdraw', address(0))
+    await apply('withdrawOpen', address(0), '0')
+    await apply('depositCommitted', address(0), '10')
+    await apply('withdrawCommitted', address(0), '0')
+    await assertSameState([address(0)], web3.utils.soliditySha3(1))
+  })
+
+  it('should fail the same way for bad arguments', async () => {
+    await apply('openNextDraw')
+    await apply('deposit', ZERO_ADDRESS, '10')
+    await apply('deposit', address(0), '10')
+    await apply('withdrawOpen', address(0), '11')
+    await apply('openNextDraw')
+    await apply('withdrawCommitted', address(0), '11')
+    await apply('depositCommitted', ZERO_ADDRESS, '10')
+    await assertSameState([address(0)], web3.utils.soliditySha3(1))
+  })
+
+  it('should match when the trees grow past MAX_BRANCHES_PER_NODE and leaves are reused', async () => {
+    const users = Array.from({ length: 25 }, (_, i) => address(i))
+
+    await apply('openNextDraw')
+    for (let i = 0; i < users.length; i++) {
+      await apply('deposit', users[i], (i + 1).toString())
+    }
+    await apply('openNextDraw')
+    for (let i = 0; i < users.length; i += 3) {
+      await apply('withdraw', users[i])
+    }
+    for (let i = 0; i < users.length; i += 2) {
+      await apply('deposit', users[i], '7')
+    }
+    for (let i = 0; i < 12; i++) {
+      await apply('openNextDraw')
+      await apply('depositCommitted', users[i], '3')
+    }
+
+    await assertSameState(users, web3.utils.soliditySha3(25))
+  })
+
+  for (let seed = 1; seed <= 3; seed++) {
+    it(`should match the contract for random sequence ${seed}`, async () => {
+      await randomSequence(seed, 60, 5)
+    })
+  }
+})
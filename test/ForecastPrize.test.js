@@ -0,0 +1,77 @@
+const { ethers } = require('ethers')
+const { forecastPrize } = require('../utils/forecastPrize')
+
+const toWei = (amount) => ethers.utils.parseEther(amount)
+
+function format(prize) {
+  return Object.keys(prize).reduce((formatted, key) => {
+    formatted[key] = ethers.utils.formatEther(prize[key])
+    return formatted
+  }, {})
+}
+
+contract('forecastPrize', () => {
+
+  it('should add the interest still to come to the interest already accrued', async () => {
+    const prize = forecastPrize({
+      balance: toWei('1010'),
+      accountedBalance: toWei('1000'),
+      interestRate: toWei('0.01'),
+      feeFraction: toWei('0.1')
+    })
+    assert.deepEqual(format(prize), {
+      accrued: '10.0',
+      projected: '10.1',
+      gross: '20.1',
+      fee: '2.01',
+      net: '18.09'
+    })
+  })
+
+  it('should not accrue anything when the balance is below the accounted balance', async () => {
+    // Compound can round the underlying balance down by a few wei
+    const prize = forecastPrize({
+      balance: toWei('1000').sub(3),
+      accountedBalance: toWei('1000'),
+      interestRate: '0',
+      feeFraction: toWei('0.1')
+    })
+    assert.equal(prize.accrued.toString(), '0')
+    assert.equal(prize.gross.toString(), '0')
+    assert.equal(prize.net.toString(), '0')
+  })
+
+  it('should pay the whole prize to the winner without a fee', async () => {
+    const prize = forecastPrize({
+      balance: toWei('100'),
+      accountedBalance: toWei('100'),
+      interestRate: toWei('0.05'),
+      feeFraction: '0'
+    })
+    assert.equal(prize.fee.toString(), '0')
+    assert.equal(prize.net.toString(), toWei('5').toString())
+  })
+
+  it('should pay the whole prize as the fee when the fee fraction is one', async () => {
+    const prize = forecastPrize({
+      balance: toWei('100'),
+      accountedBalance: toWei('90'),
+      interestRate: '0',
+      feeFraction: toWei('1')
+    })
+    assert.equal(prize.fee.toString(), toWei('10').toString())
+    assert.equal(prize.net.toString(), '0')
+  })
+
+  it('should round the fee down like the pool does', async () => {
+    const prize = forecastPrize({
+      balance: '1003',
+      accountedBalance: '1000',
+      interestRate: '0',
+      feeFraction: toWei('0.5')
+    })
+    assert.equal(prize.gross.toString(), '3')
+    assert.equal(prize.fee.toString(), '1')
+    assert.equal(prize.net.toString(), '2')
+  })
+})
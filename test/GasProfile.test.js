@@ -0,0 +1,195 @@
+const {
+  parseSourceMap,
+  instructionIndices,
+  traceAddresses,
+  foldTrace,
+  summarizeProfile,
+  formatFoldedStacks
+} = require('../utils/gasProfile')
+
+const CALLER = '0x00000000000000000000000000000000000000AA'
+const CALLEE = '0x00000000000000000000000000000000000000bb'
+
+function word(address) {
+  return address.replace(/^0x/, '').toLowerCase().padStart(64, '0')
+}
+
+function log(pc, op, gas, gasCost, depth = 1, stack = []) {
+  return { pc, op, gas, gasCost, depth, stack }
+}
+
+// looks up the function and jump of each program counter from a list of { from, to, name } ranges and a map of jumps
+function code(label, ranges, jumps = {}) {
+  return {
+    label,
+    functionAt: pc => {
+      const range = ranges.find(r => r.from <= pc && pc <= r.to)
+      return range ? range.name : undefined
+    },
+    jumpAt: pc => jumps[pc] || '-'
+  }
+}
+
+// the caller's dispatcher jumps into foo, which jumps into bar and back, then calls the callee
+const CALLER_CODE = code('Caller', [
+  { from: 10, to: 19, name: 'Caller.foo' },
+  { from: 20, to: 29, name: 'Caller.bar' }
+], { 5: 'i', 12: 'i', 22: 'o' })
+
+const CALLEE_CODE = code('Callee', [
+  { from: 0, to: 9, name: 'Callee.baz' }
+])
+
+const STRUCT_LOGS = [
+  log(0, 'PUSH1', 1000, 3),
+  log(5, 'JUMP', 997, 8),
+  log(10, 'JUMPDEST', 989, 1),
+  log(12, 'JUMP', 988, 8),
+  log(20, 'JUMPDEST', 980, 1),
+  log(22, 'JUMP', 979, 8),
+  log(13, 'JUMPDEST', 971, 1),
+  log(14, 'CALL', 970, 700, 1, [word('0x1'), word(CALLEE), word('0x1f4')]),
+  log(0, 'PUSH1', 500, 3, 2),
+  // nodes report the gas returned to the caller as a negative cost of the last op of a frame
+  log(2, 'STOP', 497, -497, 2),
+  log(15, 'STOP', 900, 0)
+]
+
+function codeOf(address) {
+  return address === CALLER.toLowerCase() ? CALLER_CODE : CALLEE_CODE
+}
+
+contract('gasProfile', () => {
+
+  describe('parseSourceMap()', () => {
+    it('should fill in the fields each entry leaves out from the one before', async () => {
+      assert.deepEqual(parseSourceMap('0:10:0:-;2:3;;:::i;5:1:1:o'), [
+        { start: 0, length: 10, file: 0, jump: '-' },
+        { start: 2, length: 3, file: 0, jump: '-' },
+        { start: 2, length: 3, file: 0, jump: '-' },
+        { start: 2, length: 3, file: 0, jump: 'i' },
+        { start: 5, length: 1, file: 1, jump: 'o' }
+      ])
+    })
+
+    it('should keep source that belongs to no file', async () => {
+      assert.deepEqual(parseSourceMap('0:10:-1:-'), [
+        { start: 0, length: 10, file: -1, jump: '-' }
+      ])
+    })
+  })
+
+  describe('instructionIndices()', () => {
+    it('should skip the data of push instructions', async () => {
+      // PUSH1 01, PUSH1 02, ADD, PUSH2 aabb, STOP
+      assert.deepEqual(instructionIndices('0x600160020161aabb00'), { 0: 0, 2: 1, 4: 2, 5: 3, 8: 4 })
+    })
+
+    it('should skip the 32 bytes of PUSH32', async () => {
+      assert.deepEqual(instructionIndices(`0x7f${'ff'.repeat(32)}00`), { 0: 0, 33: 1 })
+    })
+  })
+
+  describe('traceAddresses()', () => {
+    it('should list the called contracts once each', async () => {
+      const logs = STRUCT_LOGS.concat([
+        log(16, 'STATICCALL', 900, 700, 1, [word('0x1'), word(CALLEE), word('0x1f4')]),
+        log(0, 'STOP', 500, 0, 2)
+      ])
+      assert.deepEqual(traceAddresses(logs, CALLER), [CALLER.toLowerCase(), CALLEE.toLowerCase()])
+    })
+
+    it('should ignore calls that do not start a frame', async () => {
+      const logs = [
+        log(0, 'CALL', 1000, 700, 1, [word('0x1'), word(CALLEE), word('0x1f4')]),
+        log(1, 'STOP', 900, 0)
+      ]
+      assert.deepEqual(traceAddresses(logs, CALLER), [CALLER.toLowerCase()])
+    })
+  })
+
+  describe('foldTrace()', () => {
+    it('should attribute gas to the frames and functions it was used in', async () => {
+      assert.deepEqual(foldTrace(STRUCT_LOGS, CALLER, codeOf), {
+        'Caller': 11,
+        'Caller;Caller.foo': 77,
+        'Caller;Caller.foo;Caller.bar': 9,
+        'Caller;Caller.foo;Callee;Callee.baz': 3
+      })
+    })
+
+    it('should account for all the gas used', async () => {
+      const folded = foldTrace(STRUCT_LOGS, CALLER, codeOf)
+      const total = Object.keys(folded).reduce((sum, key) => sum + folded[key], 0)
+      assert.equal(total, STRUCT_LOGS[0].gas - STRUCT_LOGS[STRUCT_LOGS.length - 1].gas)
+    })
+
+    it('should count a function that jumps into itself instead of repeating it', async () => {
+      // a public function's external entry point jumps into its own body, and both jump back out
+      const entry = code('Caller', [{ from: 10, to: 29, name: 'Caller.foo' }], { 5: 'i', 11: 'i', 21: 'o', 23: 'o' })
+      const logs = [
+        log(5, 'JUMP', 100, 8),
+        log(10, 'JUMPDEST', 92, 1),
+        log(11, 'JUMP', 91, 8),
+        log(20, 'JUMPDEST', 83, 1),
+        log(21, 'JUMP', 82, 8),
+        log(22, 'JUMPDEST', 74, 1),
+        log(23, 'JUMP', 73, 8),
+        log(6, 'JUMPDEST', 65, 1),
+        log(7, 'STOP', 64, 0)
+      ]
+      // the outermost function is kept once it returns, as the dispatcher goes on to encode what it returned
+      assert.deepEqual(foldTrace(logs, CALLER, () => entry), {
+        'Caller': 8,
+        'Caller;Caller.foo': 28
+      })
+    })
+
+    it('should attribute inlined code, like a modifier, to both functions', async () => {
+      const inlined = code('Caller', [
+        { from: 10, to: 19, name: 'Caller.foo' },
+        { from: 30, to: 39, name: 'Caller.onlyAdmin' }
+      ], { 5: 'i' })
+      const logs = [
+        log(5, 'JUMP', 100, 8),
+        log(10, 'JUMPDEST', 92, 1),
+        log(31, 'CALLER', 91, 2),
+        log(11, 'STOP', 89, 0)
+      ]
+      assert.deepEqual(foldTrace(logs, CALLER, () => inlined), {
+        'Caller': 8,
+        'Caller;Caller.foo': 1,
+        'Caller;Caller.foo;Caller.onlyAdmin': 2
+      })
+    })
+
+    it('should return nothing for an empty trace', async () => {
+      assert.deepEqual(foldTrace([], CALLER, codeOf), {})
+    })
+  })
+
+  describe('summarizeProfile()', () => {
+    it('should total the gas used by each name, by itself and including what it calls', async () => {
+      assert.deepEqual(summarizeProfile(foldTrace(STRUCT_LOGS, CALLER, codeOf)), [
+        { name: 'Caller', self: 11, inclusive: 100 },
+        { name: 'Caller.foo', self: 77, inclusive: 89 },
+        { name: 'Caller.bar', self: 9, inclusive: 9 },
+        { name: 'Callee.baz', self: 3, inclusive: 3 },
+        { name: 'Callee', self: 0, inclusive: 3 }
+      ])
+    })
+
+    it('should count recursive functions once per stack', async () => {
+      assert.deepEqual(summarizeProfile({ 'A;A.f': 5, 'A;A.f;A.f': 7 }), [
+        { name: 'A.f', self: 12, inclusive: 12 },
+        { name: 'A', self: 0, inclusive: 12 }
+      ])
+    })
+  })
+
+  describe('formatFoldedStacks()', () => {
+    it('should print a line for each stack that used gas', async () => {
+      assert.equal(formatFoldedStacks({ 'A': 3, 'A;A.f': 0, 'A;A.g': 5 }), 'A 3\nA;A.g 5\n')
+    })
+  })
+})
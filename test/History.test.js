@@ -0,0 +1,192 @@
+const { ethers } = require('ethers')
+const { buildLedger } = require('../fork/history')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+const USER = '0x00000000000000000000000000000000000000aA'
+const OTHER = '0x00000000000000000000000000000000000000bb'
+const POOL = '0x00000000000000000000000000000000000000cc'
+
+const toWei = (amount) => ethers.utils.parseEther(amount)
+
+// builds an event like fetchEvents returns, with each event in its own block and transaction unless one is given
+let nextBlock
+function event(name, values, transactionHash) {
+  nextBlock += 1
+  return {
+    name,
+    values,
+    blockNumber: nextBlock,
+    transactionHash: transactionHash || `0x${nextBlock.toString(16).padStart(64, '0')}`
+  }
+}
+
+function opened(drawId) {
+  return event('Opened', { drawId: ethers.utils.bigNumberify(drawId) })
+}
+
+// the type and balances of each entry, formatted to read easily
+function summarize(ledger) {
+  return ledger.map(entry => [
+    entry.drawId,
+    entry.type,
+    ethers.utils.formatEther(entry.amount),
+    ethers.utils.formatEther(entry.open),
+    ethers.utils.formatEther(entry.committed),
+    ethers.utils.formatEther(entry.sponsorship)
+  ].join(' '))
+}
+
+contract('buildLedger', () => {
+
+  beforeEach(() => {
+    nextBlock = 0
+  })
+
+  it('should commit open deposits when the next draw opens', async () => {
+    const ledger = buildLedger([
+      opened(1),
+      event('Deposited', { sender: USER, amount: toWei('10') }),
+      event('Deposited', { sender: OTHER, amount: toWei('5') }),
+      opened(2),
+      event('Deposited', { sender: USER, amount: toWei('3') })
+    ], USER)
+
+    assert.deepEqual(summarize(ledger), [
+      '1 deposit 10.0 10.0 0.0 0.0',
+      '2 commit 10.0 0.0 10.0 0.0',
+      '2 deposit 3.0 3.0 10.0 0.0'
+    ])
+    assert.equal(ledger[1].blockNumber, 4)
+  })
+
+  it('should commit winnings with the open deposits when the reward and the next draw are in one transaction', async () => {
+    const hash = '0x' + 'ab'.repeat(32)
+    const ledger = buildLedger([
+      opened(1),
+      event('Deposited', { sender: USER, amount: toWei('10') }),
+      opened(2),
+      event('Deposited', { sender: USER, amount: toWei('4') }),
+      // rewardAndOpenNextDraw emits Rewarded before Opened
+      event('Rewarded', { winner: USER, winnings: toWei('1') }, hash),
+      event('Opened', { drawId: ethers.utils.bigNumberify(3) }, hash)
+    ], USER)
+
+    assert.deepEqual(summarize(ledger), [
+      '1 deposit 10.0 10.0 0.0 0.0',
+      '2 commit 10.0 0.0 10.0 0.0',
+      '2 deposit 4.0 4.0 10.0 0.0',
+      '2 win 1.0 5.0 10.0 0.0',
+      '3 commit 5.0 0.0 15.0 0.0'
+    ])
+  })
+
+  it('should zero every balance when everything is withdrawn', async () => {
+    const ledger = buildLedger([
+      opened(1),
+      event('Deposited', { sender: USER, amount: toWei('10') }),
+      opened(2),
+      event('Deposited', { sender: USER, amount: toWei('2') }),
+      event('SponsorshipDeposited', { sender: USER, amount: toWei('7') }),
+      event('Withdrawn', { sender: USER, amount: toWei('19') })
+    ], USER)
+
+    assert.deepEqual(summarize(ledger).slice(-2), [
+      '2 sponsorship 7.0 2.0 10.0 7.0',
+      '2 withdrawal 19.0 0.0 0.0 0.0'
+    ])
+  })
+
+  it('should record partial withdrawals from each balance', async () => {
+    const ledger = buildLedger([
+      opened(1),
+      event('DepositedAndCommitted', { sender: USER, amount: toWei('10') }),
+      event('Deposited', { sender: USER, amount: toWei('4') }),
+      event('SponsorshipDeposited', { sender: USER, amount: toWei('6') }),
+      event('OpenDepositWithdrawn', { sender: USER, amount: toWei('1') }),
+      event('CommittedDepositWithdrawn', { sender: USER, amount: toWei('2') }),
+      event('SponsorshipAndFeesWithdrawn', { sender: USER, amount: toWei('3') })
+    ], USER)
+
+    assert.deepEqual(summarize(ledger), [
+      '1 committed-deposit 10.0 0.0 10.0 0.0',
+      '1 deposit 4.0 4.0 10.0 0.0',
+      '1 sponsorship 6.0 4.0 10.0 6.0',
+      '1 open-withdrawal 1.0 3.0 10.0 6.0',
+      '1 committed-withdrawal 2.0 3.0 8.0 6.0',
+      '1 sponsorship-withdrawal 3.0 3.0 8.0 3.0'
+    ])
+  })
+
+  it('should record deposits made by migration transactions as migrations', async () => {
+    const migration = '0x' + 'cd'.repeat(32)
+    const committedMigration = '0x' + 'ef'.repeat(32)
+    const ledger = buildLedger([
+      opened(1),
+      event('Deposited', { sender: USER, amount: toWei('1') }),
+      event('Deposited', { sender: USER, amount: toWei('2') }, migration),
+      event('DepositedAndCommitted', { sender: USER, amount: toWei('3') }),
+      event('DepositedAndCommitted', { sender: USER, amount: toWei('4') }, committedMigration)
+    ], USER, { migrations: [migration, committedMigration] })
+
+    assert.deepEqual(ledger.map(entry => entry.type), ['deposit', 'migration-in', 'committed-deposit', 'migration-in'])
+  })
+
+  it('should record pool tokens sent to a pool as migrations and to anyone else as transfers', async () => {
+    const ledger = buildLedger([
+      opened(1),
+      event('DepositedAndCommitted', { sender: USER, amount: toWei('10') }),
+      event('Sent', { from: USER, to: OTHER, amount: toWei('2') }),
+      event('Sent', { from: USER, to: POOL, amount: toWei('3') }),
+      event('Sent', { from: OTHER, to: USER, amount: toWei('1') })
+    ], USER, { pools: [ethers.utils.getAddress(POOL)] })
+
+    assert.deepEqual(summarize(ledger), [
+      '1 committed-deposit 10.0 0.0 10.0 0.0',
+      '1 transfer-out 2.0 0.0 8.0 0.0',
+      '1 migration-out 3.0 0.0 5.0 0.0',
+      '1 transfer-in 1.0 0.0 6.0 0.0'
+    ])
+  })
+
+  it('should skip the pool tokens minted and burned by deposits and withdrawals', async () => {
+    const ledger = buildLedger([
+      opened(1),
+      event('DepositedAndCommitted', { sender: USER, amount: toWei('10') }),
+      event('Sent', { from: ZERO_ADDRESS, to: USER, amount: toWei('10') }),
+      event('Sent', { from: USER, to: ZERO_ADDRESS, amount: toWei('10') }),
+      event('CommittedDepositWithdrawn', { sender: USER, amount: toWei('10') })
+    ], USER)
+
+    assert.deepEqual(ledger.map(entry => entry.type), ['committed-deposit', 'committed-withdrawal'])
+  })
+
+  it('should ignore rewards and fees of nothing', async () => {
+    const ledger = buildLedger([
+      opened(1),
+      event('Rewarded', { winner: USER, winnings: ethers.constants.Zero }),
+      event('FeeCollected', { sender: USER, amount: ethers.constants.Zero }),
+      event('FeeCollected', { sender: USER, amount: toWei('1') })
+    ], USER)
+
+    assert.deepEqual(summarize(ledger), [
+      '1 fee 1.0 0.0 0.0 1.0'
+    ])
+  })
+
+  it('should ignore the events of other addresses', async () => {
+    const ledger = buildLedger([
+      opened(1),
+      event('Deposited', { sender: OTHER, amount: toWei('1') }),
+      event('Rewarded', { winner: OTHER, winnings: toWei('1') }),
+      event('Sent', { from: OTHER, to: POOL, amount: toWei('1') })
+    ], USER)
+
+    assert.deepEqual(ledger, [])
+  })
+
+  it('should throw on events it does not know', async () => {
+    assert.throws(() => buildLedger([
+      event('Committed', { drawId: ethers.utils.bigNumberify(1) })
+    ], USER), /Unknown pool event Committed/)
+  })
+})
@@ -0,0 +1,139 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { ethers } = require('ethers')
+const toWei = require('./helpers/toWei')
+const chai = require('./helpers/chai')
+const PoolContext = require('./helpers/PoolContext')
+const setupERC1820 = require('./helpers/setupERC1820')
+const mineBlocks = require('./helpers/mineBlocks')
+const Pool = artifacts.require('MCDAwarePool.sol')
+const {
+  SECRET,
+  SALT,
+  ZERO_ADDRESS
+} = require('./helpers/constants')
+const { keeperCycle, loadKeeperState, saveKeeperState } = require('../fork/keeper')
+const { newSeeds } = require('../utils/keystore')
+
+contract('keeper', (accounts) => {
+  const [owner, admin, user1] = accounts
+
+  let poolContext = new PoolContext({ web3, artifacts, accounts })
+
+  let provider, pool, keystore, statePath
+
+  async function cycle(interval = 0) {
+    const save = async (progress) => {
+      saveKeeperState(statePath, { [pool.address]: progress })
+    }
+    return await keeperCycle({
+      provider,
+      pool,
+      key: 'dai',
+      keystore,
+      interval,
+      progress: loadKeeperState(statePath)[pool.address],
+      save
+    })
+  }
+
+  beforeEach(async () => {
+    await setupERC1820({ web3, artifacts, account: owner })
+    await poolContext.init()
+    await poolContext.createPoolNoOpenDraw()
+
+    provider = new ethers.providers.Web3Provider(web3.currentProvider)
+    pool = new ethers.Contract(poolContext.pool.address, Pool.abi, provider.getSigner(owner))
+    keystore = { pools: { dai: [newSeeds('1', {}, SECRET, SALT)] } }
+    statePath = path.join(os.tmpdir(), `keeper-${Date.now()}.json`)
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(statePath)) {
+      fs.unlinkSync(statePath)
+    }
+  })
+
+  it('should open, commit and then reward draws', async () => {
+    assert.equal(await cycle(), 'opened')
+    assert.equal((await pool.currentOpenDrawId()).toString(), '1')
+
+    await poolContext.token.approve(pool.address, toWei('10'), { from: user1 })
+    await poolContext.pool.depositPool(toWei('10'), { from: user1 })
+
+    assert.equal(await cycle(), 'opened')
+    assert.equal((await pool.currentCommittedDrawId()).toString(), '1')
+
+    await poolContext.moneyMarket.reward(pool.address)
+
+    assert.equal(await cycle(), 'rewarded')
+    assert.equal((await pool.currentCommittedDrawId()).toString(), '2')
+
+    const draw = await pool.getDraw(1)
+    assert.equal(draw.winner, user1)
+  })
+
+  it('should wait until the open draw has been open for the interval', async () => {
+    await cycle()
+    assert.equal(await cycle(100), 'waiting')
+    assert.equal((await pool.currentOpenDrawId()).toString(), '1')
+  })
+
+  it('should not lock the pool when the keystore cannot derive the committed secret hash', async () => {
+    await cycle()
+    await cycle()
+
+    keystore = { pools: { dai: [newSeeds('1')] } }
+
+    await chai.assert.isRejected(cycle(), /wrong seed/)
+    assert.equal(await pool.isLocked(), false)
+  })
+
+  it('should reward without locking again when it stopped after locking', async () => {
+    await cycle()
+    await cycle()
+
+    const lockTx = await pool.lockTokens()
+    saveKeeperState(statePath, { [pool.address]: { drawId: '1', step: 'lock', txHash: lockTx.hash } })
+
+    assert.equal(await cycle(), 'rewarded')
+    assert.equal((await pool.currentCommittedDrawId()).toString(), '2')
+    assert.equal((await pool.getDraw(1)).winner, ZERO_ADDRESS)
+    assert.deepEqual(loadKeeperState(statePath)[pool.address], { drawId: '1', step: 'reward' })
+  })
+
+  it('should wait for the cooldown after rewarding', async () => {
+    await cycle()
+    await cycle()
+    assert.equal(await cycle(), 'rewarded')
+
+    assert.equal(await cycle(), 'cooldown')
+    assert.equal((await pool.currentCommittedDrawId()).toString(), '2')
+  })
+
+  it('should report a lock that ended before the committed draw was rewarded', async () => {
+    await cycle()
+    await cycle()
+
+    await pool.lockTokens()
+    await mineBlocks(2)
+    assert.equal(await pool.isLocked(), false)
+    assert.equal(await pool.canLock(), false)
+
+    assert.equal(await cycle(), 'lock-expired')
+    assert.equal((await pool.currentCommittedDrawId()).toString(), '1')
+  })
+
+  it('should not reward when the lock ends before the reward can be mined', async () => {
+    await cycle()
+    await cycle()
+
+    await pool.lockTokens()
+    await mineBlocks(1)
+    assert.equal(await pool.isLocked(), true)
+
+    assert.equal(await cycle(), 'lock-expired')
+    assert.equal((await pool.currentCommittedDrawId()).toString(), '1')
+  })
+})
@@ -0,0 +1,84 @@
+const { ethers } = require('ethers')
+const { reconcileBalances } = require('../utils/reconcileBalances')
+
+const toWei = (amount) => ethers.utils.parseEther(amount)
+
+// a pool with 100 in tickets and 10 in sponsorship, holding 1 of interest that has not been rewarded yet
+const BALANCES = {
+  underlyingBalance: toWei('111'),
+  accountedBalance: toWei('110'),
+  totalBalance: toWei('110'),
+  sponsorshipAndFeeBalance: toWei('10'),
+  committedSupply: toWei('80'),
+  openSupply: toWei('20')
+}
+
+function byName(checks) {
+  return checks.reduce((named, check) => {
+    named[check.name] = check
+    return named
+  }, {})
+}
+
+contract('reconcileBalances', () => {
+
+  it('should pass every check when the balances agree', async () => {
+    const checks = reconcileBalances(BALANCES)
+    assert.deepEqual(checks.map(check => check.name), ['solvency', 'accounting', 'tickets'])
+    checks.forEach(check => {
+      assert.ok(check.ok, check.name)
+      assert.equal(check.drift.toString(), '0', check.name)
+    })
+  })
+
+  it('should pass differences within the tolerance', async () => {
+    const checks = byName(reconcileBalances({
+      ...BALANCES,
+      underlyingBalance: toWei('110').sub(2),
+      totalBalance: toWei('110').add(2),
+      tolerance: '2'
+    }))
+    assert.equal(checks.solvency.drift.toString(), '2')
+    assert.equal(checks.accounting.drift.toString(), '2')
+    assert.equal(checks.tickets.drift.toString(), '2')
+    assert.ok(checks.solvency.ok)
+    assert.ok(checks.accounting.ok)
+    assert.ok(checks.tickets.ok)
+  })
+
+  it('should report differences over the tolerance as drift', async () => {
+    const checks = byName(reconcileBalances({
+      ...BALANCES,
+      totalBalance: toWei('109'),
+      tolerance: '1000'
+    }))
+    assert.notOk(checks.accounting.ok)
+    assert.equal(checks.accounting.drift.toString(), toWei('1').toString())
+    assert.equal(checks.accounting.expected.toString(), toWei('110').toString())
+    assert.equal(checks.accounting.actual.toString(), toWei('109').toString())
+    assert.notOk(checks.tickets.ok)
+    assert.ok(checks.solvency.ok)
+  })
+
+  it('should report a cToken balance below the accounted balance as a shortfall', async () => {
+    const checks = byName(reconcileBalances({
+      ...BALANCES,
+      underlyingBalance: toWei('105')
+    }))
+    assert.notOk(checks.solvency.ok)
+    assert.equal(checks.solvency.drift.toString(), toWei('5').toString())
+    assert.equal(checks.solvency.expected.toString(), toWei('110').toString())
+    assert.equal(checks.solvency.actual.toString(), toWei('105').toString())
+    assert.ok(checks.accounting.ok)
+    assert.ok(checks.tickets.ok)
+  })
+
+  it('should not report interest above the accounted balance as drift', async () => {
+    const checks = byName(reconcileBalances({
+      ...BALANCES,
+      underlyingBalance: toWei('1000')
+    }))
+    assert.ok(checks.solvency.ok)
+    assert.equal(checks.solvency.drift.toString(), '0')
+  })
+})
@@ -0,0 +1,52 @@
+const { ethers } = require('ethers')
+const { revertReason } = require('../fork/helpers/revertReason')
+
+// the return data of require(false, reason)
+function errorData(reason) {
+  return '0x08c379a0' + ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2)
+}
+
+const HASH = '0x' + '11'.repeat(32)
+
+contract('revertReason', () => {
+
+  it('should decode the reason from the return data ganache nests under the transaction hash', async () => {
+    const error = {
+      message: 'VM Exception while processing transaction: revert Pool/no-open',
+      data: {
+        [HASH]: { error: 'revert', program_counter: 123, return: errorData('Pool/not-admin'), reason: 'Pool/not-admin' },
+        stack: 'RuntimeError: VM Exception while processing transaction',
+        name: 'RuntimeError'
+      }
+    }
+    assert.equal(revertReason(error), 'Pool/not-admin')
+  })
+
+  it('should decode the reason from the error data of the response', async () => {
+    const error = {
+      message: 'invalid json response',
+      responseText: JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code: 3, message: 'execution reverted', data: errorData('Pool/no-open') } })
+    }
+    assert.equal(revertReason(error), 'Pool/no-open')
+  })
+
+  it('should read the reason from the ganache message', async () => {
+    assert.equal(revertReason(new Error('VM Exception while processing transaction: revert Pool/not-admin')), 'Pool/not-admin')
+  })
+
+  it('should report a bare ganache revert as giving no reason', async () => {
+    assert.equal(revertReason(new Error('VM Exception while processing transaction: revert')), 'no reason given')
+  })
+
+  it('should report a bare geth revert as giving no reason', async () => {
+    assert.equal(revertReason(new Error('execution reverted')), 'no reason given')
+  })
+
+  it('should not mistake other errors for reverts', async () => {
+    assert.isUndefined(revertReason(new Error('could not revert snapshot')))
+    assert.isUndefined(revertReason(new Error('the snapshot was reverted already')))
+    assert.isUndefined(revertReason(new Error('VM Exception while processing transaction: out of gas')))
+    assert.isUndefined(revertReason(new Error('invalid json response')))
+    assert.isUndefined(revertReason({}))
+  })
+})
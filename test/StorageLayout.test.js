@@ -0,0 +1,196 @@
+const { compareStorageLayouts } = require('../utils/storageLayout')
+
+// builds layouts in the format the OpenZeppelin network files record them
+const ELEMENTARY = {
+  t_uint256: { id: 't_uint256', kind: 'elementary', label: 'uint256' },
+  t_address: { id: 't_address', kind: 'elementary', label: 'address' },
+  t_bytes32: { id: 't_bytes32', kind: 'elementary', label: 'bytes32' }
+}
+
+function variable(label, type = 't_uint256') {
+  return { contract: 'Pool', label, type }
+}
+
+function member(label, type = 't_uint256') {
+  return { label, type }
+}
+
+function struct(name, members) {
+  return { id: `t_struct<${name}>`, kind: 'struct', label: name, members }
+}
+
+function mapping(valueType) {
+  return { id: `t_mapping<${valueType}>`, kind: 'mapping', label: `mapping(key => ${valueType})`, valueType }
+}
+
+function array(valueType, length = 'dyn') {
+  return { id: `t_array:${length}<${valueType}>`, kind: 'array', label: `${valueType}[${length === 'dyn' ? '' : length}]`, length, valueType }
+}
+
+function enumeration(name, members) {
+  return { id: `t_enum<${name}>`, kind: 'enum', label: name, members }
+}
+
+function layout(storage, types = []) {
+  return {
+    storage,
+    types: types.reduce((all, type) => ({ ...all, [type.id]: type }), { ...ELEMENTARY })
+  }
+}
+
+function kinds(list) {
+  return list.map(entry => `${entry.kind} ${entry.variable}`)
+}
+
+contract('storageLayout', () => {
+
+  describe('compareStorageLayouts()', () => {
+    it('should allow variables to be appended', async () => {
+      const { errors, changes } = compareStorageLayouts(
+        layout([variable('a'), variable('b')]),
+        layout([variable('a'), variable('b'), variable('c')])
+      )
+      assert.deepEqual(errors, [])
+      assert.deepEqual(kinds(changes), ['appended Pool.c'])
+    })
+
+    it('should allow variables to be renamed', async () => {
+      const { errors, changes } = compareStorageLayouts(
+        layout([variable('a'), variable('b')]),
+        layout([variable('a'), variable('renamed')])
+      )
+      assert.deepEqual(errors, [])
+      assert.deepEqual(kinds(changes), ['renamed Pool.b'])
+    })
+
+    it('should allow variables to be deprecated', async () => {
+      const { errors, changes } = compareStorageLayouts(
+        layout([variable('a'), variable('b')]),
+        layout([variable('a'), variable('__deprecated__b')])
+      )
+      assert.deepEqual(errors, [])
+      assert.deepEqual(kinds(changes), ['deprecated Pool.b'])
+    })
+
+    it('should reject reordered variables', async () => {
+      const { errors } = compareStorageLayouts(
+        layout([variable('a'), variable('b'), variable('c')]),
+        layout([variable('b'), variable('a'), variable('c')])
+      )
+      assert.deepEqual(kinds(errors), ['reordered Pool.a', 'reordered Pool.b'])
+    })
+
+    it('should reject inserted variables', async () => {
+      const { errors } = compareStorageLayouts(
+        layout([variable('a'), variable('b')]),
+        layout([variable('a'), variable('x'), variable('b')])
+      )
+      assert.deepEqual(kinds(errors), ['inserted Pool.x'])
+    })
+
+    it('should reject removed variables', async () => {
+      let { errors } = compareStorageLayouts(
+        layout([variable('a'), variable('b'), variable('c')]),
+        layout([variable('a'), variable('c')])
+      )
+      assert.deepEqual(kinds(errors), ['removed Pool.b'])
+
+      errors = compareStorageLayouts(
+        layout([variable('a'), variable('b')]),
+        layout([variable('a')])
+      ).errors
+      assert.deepEqual(kinds(errors), ['removed Pool.b'])
+    })
+
+    it('should reject retyped variables', async () => {
+      const { errors } = compareStorageLayouts(
+        layout([variable('a'), variable('b')]),
+        layout([variable('a'), variable('b', 't_address')])
+      )
+      assert.deepEqual(kinds(errors), ['retyped Pool.b'])
+    })
+
+    it('should allow a struct that is a mapping value to grow', async () => {
+      const original = struct('State', [member('x')])
+      const updated = struct('State', [member('x'), member('y')])
+      const { errors, changes } = compareStorageLayouts(
+        layout([variable('states', mapping(original.id).id)], [original, mapping(original.id)]),
+        layout([variable('states', mapping(updated.id).id)], [updated, mapping(updated.id)])
+      )
+      assert.deepEqual(errors, [])
+      assert.deepEqual(kinds(changes), ['appended Pool.states[].y'])
+    })
+
+    it('should reject a struct that is stored inline growing', async () => {
+      const original = struct('State', [member('x')])
+      const updated = struct('State', [member('x'), member('y')])
+      const { errors } = compareStorageLayouts(
+        layout([variable('state', original.id), variable('after')], [original]),
+        layout([variable('state', updated.id), variable('after')], [updated])
+      )
+      assert.deepEqual(kinds(errors), ['inserted Pool.state.y'])
+    })
+
+    it('should reject a struct that is an array element growing', async () => {
+      const original = struct('State', [member('x')])
+      const updated = struct('State', [member('x'), member('y')])
+      const { errors } = compareStorageLayouts(
+        layout([variable('states', array(original.id).id)], [original, array(original.id)]),
+        layout([variable('states', array(updated.id).id)], [updated, array(updated.id)])
+      )
+      assert.deepEqual(kinds(errors), ['inserted Pool.states[].y'])
+    })
+
+    it('should compare the members of nested structs', async () => {
+      const original = struct('State', [member('x'), member('y')])
+      const updated = struct('State', [member('y'), member('x')])
+      const { errors } = compareStorageLayouts(
+        layout([variable('states', mapping(original.id).id)], [original, mapping(original.id)]),
+        layout([variable('states', mapping(updated.id).id)], [updated, mapping(updated.id)])
+      )
+      assert.deepEqual(kinds(errors), ['reordered Pool.states[].x', 'reordered Pool.states[].y'])
+    })
+
+    it('should allow enum values to be appended', async () => {
+      const original = enumeration('Phase', ['Open', 'Committed'])
+      const updated = enumeration('Phase', ['Open', 'Committed', 'Rewarded'])
+      const { errors } = compareStorageLayouts(
+        layout([variable('phase', original.id)], [original]),
+        layout([variable('phase', updated.id)], [updated])
+      )
+      assert.deepEqual(errors, [])
+    })
+
+    it('should reject enum values that are reordered or removed', async () => {
+      const original = enumeration('Phase', ['Open', 'Committed'])
+      const reordered = enumeration('Phase', ['Committed', 'Open'])
+      const removed = enumeration('Phase', ['Open'])
+
+      assert.deepEqual(kinds(compareStorageLayouts(
+        layout([variable('phase', original.id)], [original]),
+        layout([variable('phase', reordered.id)], [reordered])
+      ).errors), ['retyped Pool.phase'])
+
+      assert.deepEqual(kinds(compareStorageLayouts(
+        layout([variable('phase', original.id)], [original]),
+        layout([variable('phase', removed.id)], [removed])
+      ).errors), ['retyped Pool.phase'])
+    })
+
+    it('should reject a change to the length of an array', async () => {
+      const original = array('t_bytes32', 3)
+      const updated = array('t_bytes32', 4)
+      const { errors } = compareStorageLayouts(
+        layout([variable('hashes', original.id)], [original]),
+        layout([variable('hashes', updated.id)], [updated])
+      )
+      assert.deepEqual(kinds(errors), ['retyped Pool.hashes'])
+
+      const dynamic = array('t_bytes32')
+      assert.deepEqual(kinds(compareStorageLayouts(
+        layout([variable('hashes', original.id)], [original]),
+        layout([variable('hashes', dynamic.id)], [dynamic])
+      ).errors), ['retyped Pool.hashes'])
+    })
+  })
+})
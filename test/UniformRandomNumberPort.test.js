@@ -0,0 +1,75 @@
+const BN = require('bn.js')
+const ExposedUniformRandomNumber = artifacts.require('ExposedUniformRandomNumber.sol')
+const { minimum, uniform } = require('../utils/uniformRandomNumber')
+
+// the number of random cases in each test
+const CASES = 40
+
+contract('uniformRandomNumber JS port', () => {
+
+  let random
+
+  beforeEach(async () => {
+    random = await ExposedUniformRandomNumber.new()
+  })
+
+  // deterministic so that a failing case can be replayed
+  function randomWord(seed, i) {
+    return web3.utils.toBN(web3.utils.soliditySha3(seed, i))
+  }
+
+  async function assertParity(entropy, upperBound) {
+    const expected = await random.uniform(entropy.toString(), upperBound.toString())
+    assert.equal(uniform(entropy, upperBound).toString(), expected.toString(), `uniform(${entropy.toString()}, ${upperBound.toString()})`)
+  }
+
+  it('should fail the same way when the upper bound is zero', async () => {
+    assert.throws(() => uniform('1234', '0'), /UniformRand\/min-bound/)
+    assert.throws(() => minimum('0'), /UniformRand\/min-bound/)
+  })
+
+  it('should compute the same minimum as -upperBound % upperBound', async () => {
+    assert.equal(minimum('10').toString(), '6')
+    assert.equal(minimum('1').toString(), '0')
+    assert.equal(minimum(new BN(1).shln(255)).toString(), '0')
+    assert.equal(minimum(new BN(1).shln(255).addn(1)).toString(), new BN(1).shln(255).subn(1).toString())
+  })
+
+  it('should match for small bounds', async () => {
+    for (let i = 0; i < CASES; i++) {
+      const upperBound = randomWord('small', i).modn(1000) + 1
+      await assertParity(randomWord('entropy', i), new BN(upperBound))
+    }
+  })
+
+  it('should match for large bounds', async () => {
+    for (let i = 0; i < CASES; i++) {
+      // between 129 and 256 bits
+      const upperBound = randomWord('large', i).shrn(randomWord('shift', i).modn(128)).addn(1)
+      await assertParity(randomWord('entropy', i), upperBound)
+    }
+  })
+
+  it('should match for entropies under the rejection threshold', async () => {
+    for (let i = 0; i < CASES; i++) {
+      // bounds just over 2^255 reject almost half of all entropies
+      const upperBound = new BN(1).shln(255).add(randomWord('bound', i).maskn(128)).addn(1)
+      const min = minimum(upperBound)
+      const entropy = randomWord('entropy', i).mod(min)
+      assert.ok(entropy.lt(min))
+      await assertParity(entropy, upperBound)
+    }
+
+    for (let entropy = 0; entropy < 6; entropy++) {
+      await assertParity(new BN(entropy), new BN(10))
+    }
+  })
+
+  it('should match at the edges of the range', async () => {
+    const max = new BN(1).shln(256).subn(1)
+    await assertParity(max, max)
+    await assertParity(max, new BN(1))
+    await assertParity(new BN(0), max)
+    await assertParity(max.subn(1), max)
+  })
+})
@@ -0,0 +1,77 @@
+const { ethers } = require('ethers')
+const toWei = require('./helpers/toWei')
+const chai = require('./helpers/chai')
+const PoolContext = require('./helpers/PoolContext')
+const setupERC1820 = require('./helpers/setupERC1820')
+const Pool = artifacts.require('MCDAwarePool.sol')
+const Token = artifacts.require('Token.sol')
+const PoolToken = artifacts.require('RecipientWhitelistPoolToken.sol')
+const {
+  SECRET,
+  SALT,
+  SECRET_HASH,
+  ZERO_ADDRESS
+} = require('./helpers/constants')
+const { verifyDraw } = require('../fork/verifyDraw')
+
+contract('verifyDraw', (accounts) => {
+  const [owner, admin, user1, user2, user3] = accounts
+
+  let poolContext = new PoolContext({ web3, artifacts, accounts })
+
+  let context
+
+  beforeEach(async () => {
+    await setupERC1820({ web3, artifacts, account: owner })
+    await poolContext.init()
+    await poolContext.createPool()
+    await poolContext.createToken()
+
+    const provider = new ethers.providers.Web3Provider(web3.currentProvider)
+    context = {
+      provider,
+      artifacts: { ERC20: Token, PoolToken },
+      contracts: { PoolDai: new ethers.Contract(poolContext.pool.address, Pool.abi, provider) }
+    }
+
+    await poolContext.depositPool(toWei('10'), { from: user1 })
+    await poolContext.depositPool(toWei('20'), { from: user2 })
+    await poolContext.nextDraw()
+
+    await poolContext.depositPool(toWei('30'), { from: user3 })
+    await poolContext.poolToken.transfer(user3, toWei('5'), { from: user1 })
+    await poolContext.pool.withdrawCommittedDeposit(toWei('5'), { from: user2 })
+    await poolContext.nextDraw()
+    await poolContext.nextDraw()
+  })
+
+  it('should select the recorded winner from the replayed draw state', async () => {
+    const first = await verifyDraw(context, 'dai', '1')
+    assert.equal(first.verified, true)
+    assert.equal(first.secret, SECRET)
+    assert.equal(first.salt, SALT)
+    assert.equal(first.committedSupply, '25.0')
+    assert.equal(first.calculatedWinner, (await poolContext.pool.getDraw(1)).winner)
+
+    const second = await verifyDraw(context, 'dai', '2')
+    assert.equal(second.verified, true)
+    assert.equal(second.calculatedWinner, (await poolContext.pool.getDraw(2)).winner)
+  })
+
+  it('should verify that a rolled over draw has no winner', async () => {
+    await poolContext.pool.rolloverAndOpenNextDraw(SECRET_HASH)
+
+    const report = await verifyDraw(context, 'dai', '3')
+    assert.equal(report.rolledOver, true)
+    assert.equal(report.winner, ZERO_ADDRESS)
+    assert.equal(report.verified, true)
+  })
+
+  it('should fail when the secret does not match the commitment', async () => {
+    await chai.assert.isRejected(verifyDraw(context, 'dai', '1', { secret: SALT, salt: SECRET }), /failed verification/)
+  })
+
+  it('should reject draws that have not been rewarded', async () => {
+    await chai.assert.isRejected(verifyDraw(context, 'dai', '3'), /has not been rewarded/)
+  })
+})
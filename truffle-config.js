@@ -67,7 +67,8 @@ module.exports = {
         3
       ),
       gas: 7000000,
-      network_id: 999
+      // the chain id of the fork is configurable, see fork.config.json
+      network_id: '*'
       // gasPrice: 11.101 * 1000000000
     }
   },
@@ -0,0 +1,43 @@
+const { ethers } = require('ethers')
+
+const ONE = ethers.utils.parseEther('1')
+
+// numerator / denominator as a float, or zero if the denominator is zero
+function ratio(numerator, denominator) {
+  if (denominator.isZero()) {
+    return 0
+  }
+  return parseFloat(ethers.utils.formatEther(numerator.mul(ONE).div(denominator)))
+}
+
+/**
+ * Calculates the chance of a user winning the committed draw, and the next draw once the open deposits are committed.
+ * Expects the open draw to be committed as it is, so winnings and withdrawals before then are not accounted for.
+ * @param extraDeposit A hypothetical deposit into the open draw
+ * @return The odds as fractions of one, and the number of draws a user can expect to wait for a win at the next draw's odds
+ */
+function calculateOdds({ committedBalance, openBalance, committedSupply, openSupply, extraDeposit = '0' }) {
+  committedBalance = ethers.utils.bigNumberify(committedBalance)
+  openBalance = ethers.utils.bigNumberify(openBalance)
+  committedSupply = ethers.utils.bigNumberify(committedSupply)
+  openSupply = ethers.utils.bigNumberify(openSupply)
+  extraDeposit = ethers.utils.bigNumberify(extraDeposit)
+
+  const nextBalance = committedBalance.add(openBalance).add(extraDeposit)
+  const nextSupply = committedSupply.add(openSupply).add(extraDeposit)
+
+  const current = ratio(committedBalance, committedSupply)
+  const next = ratio(nextBalance, nextSupply)
+
+  return {
+    current,
+    next,
+    nextBalance,
+    nextSupply,
+    expectedDrawsToWin: next === 0 ? Infinity : 1 / next
+  }
+}
+
+module.exports = {
+  calculateOdds
+}
@@ -0,0 +1,271 @@
+const BN = require('bn.js')
+const { createSortitionSumTrees } = require('./sortitionSumTrees')
+const { uniform } = require('./uniformRandomNumber')
+
+const TREE_OF_DRAWS = 'TreeOfDraws'
+const MAX_BRANCHES_PER_NODE = 10
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+/**
+ * A port of the DrawManager library.  Tracks open and committed balances in the same sortition sum trees as the contract,
+ * so that winners can be selected off-chain exactly as the Pool would select them.  Amounts may be anything the BN
+ * constructor accepts; balances are returned as BNs.
+ */
+function createDrawManager() {
+  const trees = createSortitionSumTrees()
+  const consolidatedDrawIndices = {}
+  const latestDrawIndices = {}
+  let openDrawIndex = 0
+
+  const userId = (addr) => addr.toLowerCase()
+  const drawId = (drawIndex) => drawIndex.toString()
+
+  function requireOpenDraw() {
+    if (openDrawIndex === 0) {
+      throw new Error('Pool/no-open')
+    }
+  }
+
+  function requireCommittedDraw() {
+    if (openDrawIndex <= 1) {
+      throw new Error('Pool/no-commit')
+    }
+  }
+
+  function onlyNonZero(addr) {
+    if (!addr || addr.toLowerCase() === ZERO_ADDRESS) {
+      throw new Error('Pool/not-zero')
+    }
+  }
+
+  function drawSet(drawIndex, amount, addr) {
+    const oldAmount = trees.stakeOf(drawId(drawIndex), userId(addr))
+
+    if (!oldAmount.eq(amount)) {
+      trees.set(drawId(drawIndex), amount, userId(addr))
+
+      if (drawIndex !== openDrawIndex) {
+        trees.set(TREE_OF_DRAWS, trees.total(drawId(drawIndex)), drawId(drawIndex))
+      }
+    }
+  }
+
+  function openNextDraw() {
+    if (openDrawIndex === 0) {
+      trees.createTree(TREE_OF_DRAWS, MAX_BRANCHES_PER_NODE)
+    } else {
+      trees.set(TREE_OF_DRAWS, openSupply(), drawId(openDrawIndex))
+    }
+    const drawIndex = openDrawIndex + 1
+    trees.createTree(drawId(drawIndex), MAX_BRANCHES_PER_NODE)
+    openDrawIndex = drawIndex
+
+    return drawIndex
+  }
+
+  function deposit(addr, amount) {
+    requireOpenDraw()
+    onlyNonZero(addr)
+    const id = userId(addr)
+
+    const currentAmount = trees.stakeOf(drawId(openDrawIndex), id).add(new BN(amount))
+    drawSet(openDrawIndex, currentAmount, addr)
+
+    const consolidatedDrawIndex = consolidatedDrawIndices[id] || 0
+    const latestDrawIndex = latestDrawIndices[id] || 0
+
+    if (consolidatedDrawIndex === 0) {
+      consolidatedDrawIndices[id] = openDrawIndex
+    } else if (consolidatedDrawIndex !== openDrawIndex) {
+      if (latestDrawIndex === 0) {
+        latestDrawIndices[id] = openDrawIndex
+      } else if (latestDrawIndex !== openDrawIndex) {
+        const consolidatedAmount = trees.stakeOf(drawId(consolidatedDrawIndex), id)
+        const latestAmount = trees.stakeOf(drawId(latestDrawIndex), id)
+        drawSet(consolidatedDrawIndex, consolidatedAmount.add(latestAmount), addr)
+        drawSet(latestDrawIndex, new BN(0), addr)
+        latestDrawIndices[id] = openDrawIndex
+      }
+    }
+  }
+
+  function depositCommitted(addr, amount) {
+    requireCommittedDraw()
+    onlyNonZero(addr)
+    const id = userId(addr)
+    const consolidatedDrawIndex = consolidatedDrawIndices[id] || 0
+
+    if (consolidatedDrawIndex !== 0 && consolidatedDrawIndex !== openDrawIndex) {
+      const consolidatedAmount = trees.stakeOf(drawId(consolidatedDrawIndex), id)
+      drawSet(consolidatedDrawIndex, consolidatedAmount.add(new BN(amount)), addr)
+    } else {
+      latestDrawIndices[id] = consolidatedDrawIndex
+      consolidatedDrawIndices[id] = openDrawIndex - 1
+      drawSet(consolidatedDrawIndices[id], new BN(amount), addr)
+    }
+  }
+
+  function withdraw(addr) {
+    requireOpenDraw()
+    onlyNonZero(addr)
+    const id = userId(addr)
+    const consolidatedDrawIndex = consolidatedDrawIndices[id] || 0
+    const latestDrawIndex = latestDrawIndices[id] || 0
+
+    if (consolidatedDrawIndex !== 0) {
+      drawSet(consolidatedDrawIndex, new BN(0), addr)
+      delete consolidatedDrawIndices[id]
+    }
+
+    if (latestDrawIndex !== 0) {
+      drawSet(latestDrawIndex, new BN(0), addr)
+      delete latestDrawIndices[id]
+    }
+  }
+
+  function withdrawOpen(addr, amount) {
+    requireOpenDraw()
+    onlyNonZero(addr)
+    amount = new BN(amount)
+    const openTotal = trees.stakeOf(drawId(openDrawIndex), userId(addr))
+
+    if (amount.gt(openTotal)) {
+      throw new Error('DrawMan/exceeds-open')
+    }
+
+    drawSet(openDrawIndex, openTotal.sub(amount), addr)
+  }
+
+  function withdrawCommitted(addr, amount) {
+    requireCommittedDraw()
+    onlyNonZero(addr)
+    amount = new BN(amount)
+    const id = userId(addr)
+    const consolidatedDrawIndex = consolidatedDrawIndices[id] || 0
+    const latestDrawIndex = latestDrawIndices[id] || 0
+
+    let consolidatedAmount = new BN(0)
+    let latestAmount = new BN(0)
+    let total = new BN(0)
+
+    if (latestDrawIndex !== 0 && latestDrawIndex !== openDrawIndex) {
+      latestAmount = trees.stakeOf(drawId(latestDrawIndex), id)
+      total = total.add(latestAmount)
+    }
+
+    if (consolidatedDrawIndex !== 0 && consolidatedDrawIndex !== openDrawIndex) {
+      consolidatedAmount = trees.stakeOf(drawId(consolidatedDrawIndex), id)
+      total = total.add(consolidatedAmount)
+    }
+
+    if (amount.gt(total)) {
+      throw new Error('Pool/exceed')
+    }
+
+    const remaining = total.sub(amount)
+
+    if (remaining.gt(consolidatedAmount)) {
+      drawSet(latestDrawIndex, remaining.sub(consolidatedAmount), addr)
+    } else if (latestAmount.gt(new BN(0))) {
+      delete latestDrawIndices[id]
+      drawSet(latestDrawIndex, new BN(0), addr)
+    }
+
+    if (remaining.isZero()) {
+      delete consolidatedDrawIndices[id]
+      drawSet(consolidatedDrawIndex, new BN(0), addr)
+    } else if (remaining.lt(consolidatedAmount)) {
+      drawSet(consolidatedDrawIndex, remaining, addr)
+    }
+  }
+
+  function committedBalanceOf(addr) {
+    const id = userId(addr)
+    const consolidatedDrawIndex = consolidatedDrawIndices[id] || 0
+    const latestDrawIndex = latestDrawIndices[id] || 0
+    let balance = new BN(0)
+
+    if (consolidatedDrawIndex !== 0 && consolidatedDrawIndex !== openDrawIndex) {
+      balance = trees.stakeOf(drawId(consolidatedDrawIndex), id)
+    }
+
+    if (latestDrawIndex !== 0 && latestDrawIndex !== openDrawIndex) {
+      balance = balance.add(trees.stakeOf(drawId(latestDrawIndex), id))
+    }
+
+    return balance
+  }
+
+  function openBalanceOf(addr) {
+    if (openDrawIndex === 0) {
+      return new BN(0)
+    }
+    return trees.stakeOf(drawId(openDrawIndex), userId(addr))
+  }
+
+  function balanceOf(addr) {
+    return committedBalanceOf(addr).add(openBalanceOf(addr))
+  }
+
+  function consolidatedDrawIndex(addr) {
+    return consolidatedDrawIndices[userId(addr)] || 0
+  }
+
+  function latestDrawIndex(addr) {
+    return latestDrawIndices[userId(addr)] || 0
+  }
+
+  function openSupply() {
+    return trees.total(drawId(openDrawIndex))
+  }
+
+  function committedSupply() {
+    return trees.total(TREE_OF_DRAWS)
+  }
+
+  function draw(token) {
+    token = new BN(token)
+    if (committedSupply().isZero()) {
+      return ZERO_ADDRESS
+    }
+    if (token.gte(committedSupply())) {
+      throw new Error('Pool/ineligible')
+    }
+    const drawIndex = trees.draw(TREE_OF_DRAWS, token)
+    const drawSupply = trees.total(drawIndex)
+    return trees.draw(drawIndex, token.mod(drawSupply)) || ZERO_ADDRESS
+  }
+
+  function drawWithEntropy(entropy) {
+    const bound = committedSupply()
+    if (bound.isZero()) {
+      return ZERO_ADDRESS
+    }
+    return draw(uniform(entropy, bound))
+  }
+
+  return {
+    openNextDraw,
+    deposit,
+    depositCommitted,
+    withdraw,
+    withdrawOpen,
+    withdrawCommitted,
+    committedBalanceOf,
+    openBalanceOf,
+    balanceOf,
+    consolidatedDrawIndex,
+    latestDrawIndex,
+    openSupply,
+    committedSupply,
+    draw,
+    drawWithEntropy,
+    openDrawIndex: () => openDrawIndex
+  }
+}
+
+module.exports = {
+  TREE_OF_DRAWS,
+  MAX_BRANCHES_PER_NODE,
+  createDrawManager
+}
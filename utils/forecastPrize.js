@@ -0,0 +1,36 @@
+const { ethers } = require('ethers')
+
+const ONE = ethers.utils.parseEther('1')
+
+/**
+ * Projects the prize of the next reward the way BasePool.reward calculates it: the interest accrued above the accounted
+ * balance, plus the interest the whole balance earns until the reward.
+ * @param balance The underlying balance of the pool
+ * @param accountedBalance The total of all deposits, winnings and fees
+ * @param interestRate The estimated interest rate until the reward, as an 18 decimal fixed point number
+ * @param feeFraction The fraction of the winnings paid to the fee beneficiary, as an 18 decimal fixed point number
+ */
+function forecastPrize({ balance, accountedBalance, interestRate, feeFraction }) {
+  balance = ethers.utils.bigNumberify(balance)
+  accountedBalance = ethers.utils.bigNumberify(accountedBalance)
+  interestRate = ethers.utils.bigNumberify(interestRate)
+  feeFraction = ethers.utils.bigNumberify(feeFraction)
+
+  // the balance can be slightly less than the accounted balance due to rounding in Compound
+  const accrued = balance.gt(accountedBalance) ? balance.sub(accountedBalance) : ethers.constants.Zero
+  const projected = balance.mul(interestRate).div(ONE)
+  const gross = accrued.add(projected)
+  const fee = gross.mul(feeFraction).div(ONE)
+
+  return {
+    accrued,
+    projected,
+    gross,
+    fee,
+    net: gross.sub(fee)
+  }
+}
+
+module.exports = {
+  forecastPrize
+}
@@ -0,0 +1,184 @@
+/**
+ * Folds the struct logs of debug_traceTransaction into the gas used by each call frame and source function.
+ */
+
+const PUSH1 = 0x60
+const PUSH32 = 0x7f
+
+const CALL_OPS = ['CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL']
+
+/**
+ * Expands a compressed solc source map into one { start, length, file, jump } per instruction.
+ */
+function parseSourceMap(sourceMap) {
+  let previous = { start: -1, length: -1, file: -1, jump: '-' }
+  return sourceMap.split(';').map(entry => {
+    const [start, length, file, jump] = entry.split(':')
+    previous = {
+      start: start ? parseInt(start, 10) : previous.start,
+      length: length ? parseInt(length, 10) : previous.length,
+      file: file ? parseInt(file, 10) : previous.file,
+      jump: jump || previous.jump
+    }
+    return previous
+  })
+}
+
+/**
+ * Maps each program counter in the bytecode to the index of its instruction, which is what source maps are indexed by.
+ */
+function instructionIndices(bytecode) {
+  const code = bytecode.replace(/^0x/, '')
+  const indices = {}
+  let index = 0
+  for (let pc = 0; pc < code.length / 2; pc++) {
+    indices[pc] = index++
+    const op = parseInt(code.substr(pc * 2, 2), 16)
+    if (op >= PUSH1 && op <= PUSH32) {
+      pc += op - PUSH1 + 1
+    }
+  }
+  return indices
+}
+
+// the address a call is made to is the second item on the stack
+function callAddress(log) {
+  const entry = log.stack[log.stack.length - 2]
+  return `0x${entry.replace(/^0x/, '').slice(-40)}`.toLowerCase()
+}
+
+/**
+ * Lists the addresses whose code runs during a transaction.
+ */
+function traceAddresses(structLogs, to) {
+  const addresses = [to.toLowerCase()]
+  structLogs.forEach((log, i) => {
+    const next = structLogs[i + 1]
+    if (CALL_OPS.indexOf(log.op) !== -1 && next && next.depth > log.depth) {
+      const address = callAddress(log)
+      if (addresses.indexOf(address) === -1) {
+        addresses.push(address)
+      }
+    }
+  })
+  return addresses
+}
+
+/**
+ * Attributes the gas of every instruction to the stack of frames and functions it ran in.  Each external call starts a
+ * frame named after the code it runs; within a frame, jumps into and out of functions, as marked in the source map, push
+ * and pop functions.  Instructions of a function inlined into another, like a modifier, are attributed to both.
+ * @param codeOf Returns { label, functionAt(pc), jumpAt(pc) } for the code at an address
+ * @return The gas used by each stack, keyed by its frames and functions joined with ';'
+ */
+function foldTrace(structLogs, to, codeOf) {
+  const folded = {}
+  let i = 0
+
+  const add = (stack, gas) => {
+    const key = stack.join(';')
+    folded[key] = (folded[key] || 0) + gas
+  }
+
+  // returns the gas used by the frame, including the frames it calls
+  function walkFrame(address, prefix) {
+    const depth = structLogs[i].depth
+    const code = codeOf(address)
+    const frame = prefix.concat([code.label])
+    // a public function's external entry point jumps into its own body, so repeated entries are counted instead of pushed
+    const functions = []
+    let total = 0
+    let jump = '-'
+
+    while (i < structLogs.length && structLogs[i].depth === depth) {
+      const log = structLogs[i]
+      const name = code.functionAt(log.pc)
+      let top = functions[functions.length - 1]
+
+      if (jump === 'i' && top && top.name === (name || '?')) {
+        top.count += 1
+      } else if (jump === 'i' || (!top && name)) {
+        functions.push({ name: name || '?', count: 1 })
+      } else if (jump === 'o' && top && top.count > 1) {
+        top.count -= 1
+      } else if (jump === 'o' && functions.length > 1) {
+        functions.pop()
+      }
+      jump = log.op === 'JUMP' ? code.jumpAt(log.pc) : '-'
+
+      top = functions[functions.length - 1]
+      const stack = frame.concat(functions.map(entry => entry.name), name && (!top || name !== top.name) ? [name] : [])
+
+      const next = structLogs[i + 1]
+      i += 1
+      if (!next || next.depth < depth) {
+        // the frame ends here.  Some nodes report the gas returned to the caller as a negative cost of the last op
+        const cost = Math.max(log.gasCost, 0)
+        add(stack, cost)
+        total += cost
+      } else if (next.depth === depth) {
+        add(stack, log.gas - next.gas)
+        total += log.gas - next.gas
+      } else {
+        // the call op pays for the frame it starts, so only what is left is its own
+        const called = walkFrame(CALL_OPS.indexOf(log.op) !== -1 ? callAddress(log) : 'created contract', stack)
+        const returned = structLogs[i]
+        const used = returned && returned.depth === depth ? log.gas - returned.gas : called
+        add(stack, used - called)
+        total += used
+      }
+    }
+
+    return total
+  }
+
+  if (structLogs.length) {
+    walkFrame(to.toLowerCase(), [])
+  }
+
+  return folded
+}
+
+/**
+ * Totals the gas used in each frame and function, both by itself and including everything it calls.
+ * @return Rows of { name, self, inclusive } sorted by inclusive gas
+ */
+function summarizeProfile(folded) {
+  const rows = {}
+  const row = name => {
+    rows[name] = rows[name] || { name, self: 0, inclusive: 0 }
+    return rows[name]
+  }
+
+  Object.keys(folded).forEach(key => {
+    const names = key.split(';')
+    row(names[names.length - 1]).self += folded[key]
+    // recursive functions are only counted once per stack
+    names.filter((name, index) => names.indexOf(name) === index).forEach(name => {
+      row(name).inclusive += folded[key]
+    })
+  })
+
+  return Object.keys(rows)
+    .map(name => rows[name])
+    .sort((a, b) => b.inclusive - a.inclusive || b.self - a.self)
+}
+
+/**
+ * Formats the folded stacks the way flamegraph.pl and speedscope read them: one stack and its gas per line.
+ */
+function formatFoldedStacks(folded) {
+  return Object.keys(folded)
+    .filter(key => folded[key] > 0)
+    .map(key => `${key} ${folded[key]}`)
+    .join('\n') + '\n'
+}
+
+module.exports = {
+  parseSourceMap,
+  instructionIndices,
+  traceAddresses,
+  foldTrace,
+  summarizeProfile,
+  formatFoldedStacks
+}
@@ -1,15 +1,23 @@
 const { generateHash } = require('./generateHash')
 const { generateSecretHash } = require('./generateSecretHash')
+const { seedsFor } = require('./keystore')
 
-function generateAll(secretSeed, saltSeed, drawId) {
-  const secret = generateHash(secretSeed, drawId)
-  const salt = generateHash(saltSeed, drawId)
+function generateAll(keystore, type, poolAddress, drawId) {
+  const { secretSeed, saltSeed, version, chainId } = seedsFor(keystore, type, drawId)
+  const derivation = {
+    version: version || 1,
+    chainId,
+    poolAddress
+  }
+  const secret = generateHash(secretSeed, drawId, derivation)
+  const salt = generateHash(saltSeed, drawId, derivation)
   const secretHash = generateSecretHash(secret, salt)
-  
+
   return {
     secret,
     salt,
-    secretHash
+    secretHash,
+    version: derivation.version
   }
 }
 
@@ -1,12 +1,37 @@
 const ethers = require('ethers')
 
-function generateHash(secret, drawId) {
-  return ethers.utils.solidityKeccak256(
+const CURRENT_DERIVATION_VERSION = 2
+
+/**
+ * Version 1 hashes only the seed and draw id, so pools sharing a seed share secrets.
+ * Version 2 also mixes in the chain id and the pool proxy address.
+ */
+const DERIVATIONS = {
+  1: (seed, drawId) => ethers.utils.solidityKeccak256(
     ['bytes32', 'uint256'],
-    [secret, drawId]
-  )
+    [seed, drawId]
+  ),
+  2: (seed, drawId, { chainId, poolAddress }) => {
+    if (!chainId || !poolAddress) {
+      throw new Error('Derivation version 2 requires a chain id and pool address')
+    }
+    return ethers.utils.solidityKeccak256(
+      ['bytes32', 'uint256', 'address', 'uint256'],
+      [seed, chainId, poolAddress, drawId]
+    )
+  }
+}
+
+function generateHash(seed, drawId, derivation = { version: 1 }) {
+  const derive = DERIVATIONS[derivation.version]
+  if (!derive) {
+    throw new Error(`Unknown secret derivation version ${derivation.version}`)
+  }
+  return derive(seed, drawId, derivation)
 }
 
 module.exports = {
+  CURRENT_DERIVATION_VERSION,
+  DERIVATIONS,
   generateHash
 }
\ No newline at end of file
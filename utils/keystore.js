@@ -0,0 +1,135 @@
+const crypto = require('crypto')
+const scrypt = require('scrypt-js')
+const ethers = require('ethers')
+
+const KDF_PARAMS = {
+  dklen: 32,
+  n: 131072,
+  r: 8,
+  p: 1
+}
+
+function deriveKey(password, kdfparams) {
+  return new Promise((resolve, reject) => {
+    scrypt(
+      Buffer.from(password.normalize('NFKC'), 'utf8'),
+      Buffer.from(kdfparams.salt, 'hex'),
+      kdfparams.n,
+      kdfparams.r,
+      kdfparams.p,
+      kdfparams.dklen,
+      (error, progress, key) => {
+        if (error) {
+          reject(error)
+        } else if (key) {
+          resolve(Buffer.from(key))
+        }
+      }
+    )
+  })
+}
+
+function computeMac(derivedKey, ciphertext) {
+  return ethers.utils.keccak256(Buffer.concat([derivedKey.slice(16, 32), ciphertext])).slice(2)
+}
+
+/**
+ * Encrypts the keystore data using the same scheme as the Ethereum JSON keystores: an scrypt derived key,
+ * aes-128-ctr and a keccak256 mac.
+ */
+async function encryptKeystore(data, password) {
+  const kdfparams = Object.assign({ salt: crypto.randomBytes(32).toString('hex') }, KDF_PARAMS)
+  const iv = crypto.randomBytes(16)
+  const derivedKey = await deriveKey(password, kdfparams)
+
+  const cipher = crypto.createCipheriv('aes-128-ctr', derivedKey.slice(0, 16), iv)
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()])
+
+  return {
+    version: 1,
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: {
+        iv: iv.toString('hex')
+      },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams,
+      mac: computeMac(derivedKey, ciphertext)
+    }
+  }
+}
+
+async function decryptKeystore(keystore, password) {
+  const params = keystore.crypto
+  if (params.kdf !== 'scrypt' || params.cipher !== 'aes-128-ctr') {
+    throw new Error(`Unsupported keystore kdf ${params.kdf} or cipher ${params.cipher}`)
+  }
+
+  const derivedKey = await deriveKey(password, params.kdfparams)
+  const ciphertext = Buffer.from(params.ciphertext, 'hex')
+  if (computeMac(derivedKey, ciphertext) !== params.mac) {
+    throw new Error('Invalid keystore password')
+  }
+
+  const decipher = crypto.createDecipheriv('aes-128-ctr', derivedKey.slice(0, 16), Buffer.from(params.cipherparams.iv, 'hex'))
+  const data = Buffer.concat([decipher.update(ciphertext), decipher.final()])
+
+  return JSON.parse(data.toString('utf8'))
+}
+
+function randomSeed() {
+  return ethers.utils.hexlify(crypto.randomBytes(32))
+}
+
+/**
+ * Creates a seed generation that applies to the given draw and every draw after it.  The derivation
+ * records how secrets are derived from the seeds; generations without a version use version 1.
+ */
+function newSeeds(fromDrawId = '1', derivation = {}, secretSeed = randomSeed(), saltSeed = randomSeed()) {
+  const seeds = {
+    fromDrawId: fromDrawId.toString(),
+    secretSeed,
+    saltSeed
+  }
+  if (derivation.version) {
+    seeds.version = derivation.version
+    seeds.chainId = derivation.chainId
+  }
+  return seeds
+}
+
+/**
+ * Returns the seed generation of the pool that was used for the given draw.
+ */
+function seedsFor(keystore, type, drawId) {
+  const generations = keystore.pools[type]
+  if (!generations || !generations.length) {
+    throw new Error(`The keystore has no seeds for the ${type} pool`)
+  }
+
+  drawId = ethers.utils.bigNumberify(drawId)
+
+  const seeds = generations
+    .filter(generation => drawId.gte(generation.fromDrawId))
+    .reduce((latest, generation) => {
+      if (!latest || ethers.utils.bigNumberify(generation.fromDrawId).gt(latest.fromDrawId)) {
+        return generation
+      }
+      return latest
+    }, null)
+
+  if (!seeds) {
+    throw new Error(`The keystore has no ${type} seeds for draw ${drawId.toString()}`)
+  }
+
+  return seeds
+}
+
+module.exports = {
+  encryptKeystore,
+  decryptKeystore,
+  randomSeed,
+  newSeeds,
+  seedsFor
+}
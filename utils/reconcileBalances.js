@@ -0,0 +1,54 @@
+const { ethers } = require('ethers')
+
+/**
+ * Compares the ways a pool accounts for its deposits.  Each check drifts when it is off by more than the tolerance.
+ * @param underlyingBalance The cToken balanceOfUnderlying of the pool
+ * @param accountedBalance The total of all deposits, winnings and fees
+ * @param totalBalance The sum of totalBalanceOf over every user
+ * @param sponsorshipAndFeeBalance The sum of sponsorshipAndFeeBalanceOf over every user
+ * @param committedSupply The committed supply of the draws
+ * @param openSupply The open supply of the draws
+ * @param tolerance The largest difference that is not reported as drift
+ */
+function reconcileBalances({
+  underlyingBalance,
+  accountedBalance,
+  totalBalance,
+  sponsorshipAndFeeBalance,
+  committedSupply,
+  openSupply,
+  tolerance = '0'
+}) {
+  underlyingBalance = ethers.utils.bigNumberify(underlyingBalance)
+  accountedBalance = ethers.utils.bigNumberify(accountedBalance)
+  totalBalance = ethers.utils.bigNumberify(totalBalance)
+  sponsorshipAndFeeBalance = ethers.utils.bigNumberify(sponsorshipAndFeeBalance)
+  committedSupply = ethers.utils.bigNumberify(committedSupply)
+  openSupply = ethers.utils.bigNumberify(openSupply)
+  tolerance = ethers.utils.bigNumberify(tolerance)
+
+  const check = (name, expected, actual, drift) => ({
+    name,
+    expected,
+    actual,
+    drift,
+    ok: drift.lte(tolerance)
+  })
+
+  const difference = (a, b) => a.gt(b) ? a.sub(b) : b.sub(a)
+
+  // interest accrues above the accounted balance until the next reward, so only a shortfall is drift
+  const shortfall = accountedBalance.gt(underlyingBalance) ? accountedBalance.sub(underlyingBalance) : ethers.constants.Zero
+  const tickets = totalBalance.sub(sponsorshipAndFeeBalance)
+  const supply = committedSupply.add(openSupply)
+
+  return [
+    check('solvency', accountedBalance, underlyingBalance, shortfall),
+    check('accounting', accountedBalance, totalBalance, difference(accountedBalance, totalBalance)),
+    check('tickets', supply, tickets, difference(supply, tickets))
+  ]
+}
+
+module.exports = {
+  reconcileBalances
+}
@@ -0,0 +1,142 @@
+const BN = require('bn.js')
+
+/**
+ * A port of the Kleros SortitionSumTreeFactory.  Each tree is a K-ary sum tree whose leaves hold the stakes of IDs, so that
+ * nodes are added, moved and vacated in exactly the same order as on-chain.  Values are BNs; keys and IDs are strings.
+ */
+function createSortitionSumTrees() {
+  const trees = {}
+
+  function tree(key) {
+    const result = trees[key]
+    if (!result) {
+      throw new Error(`Tree ${key} does not exist`)
+    }
+    return result
+  }
+
+  function createTree(key, K) {
+    if (trees[key]) {
+      throw new Error('Tree already exists.')
+    }
+    if (K <= 1) {
+      throw new Error('K must be greater than one.')
+    }
+    trees[key] = {
+      K,
+      stack: [],
+      nodes: [new BN(0)],
+      IDsToNodeIndexes: {},
+      nodeIndexesToIDs: {}
+    }
+  }
+
+  function updateParents(key, treeIndex, plusOrMinus, value) {
+    const t = tree(key)
+    let parentIndex = treeIndex
+    while (parentIndex !== 0) {
+      parentIndex = Math.floor((parentIndex - 1) / t.K)
+      t.nodes[parentIndex] = plusOrMinus ? t.nodes[parentIndex].add(value) : t.nodes[parentIndex].sub(value)
+    }
+  }
+
+  function set(key, value, ID) {
+    const t = tree(key)
+    value = new BN(value)
+    let treeIndex = t.IDsToNodeIndexes[ID] || 0
+
+    if (treeIndex === 0) {
+      if (value.isZero()) {
+        return
+      }
+
+      if (t.stack.length === 0) {
+        treeIndex = t.nodes.length
+        t.nodes.push(value)
+
+        // if the new node is a first child, its parent leaf moves down to become its sibling
+        if (treeIndex !== 1 && (treeIndex - 1) % t.K === 0) {
+          const parentIndex = Math.floor(treeIndex / t.K)
+          const parentID = t.nodeIndexesToIDs[parentIndex]
+          const newIndex = treeIndex + 1
+          t.nodes.push(t.nodes[parentIndex])
+          delete t.nodeIndexesToIDs[parentIndex]
+          t.IDsToNodeIndexes[parentID] = newIndex
+          t.nodeIndexesToIDs[newIndex] = parentID
+        }
+      } else {
+        treeIndex = t.stack.pop()
+        t.nodes[treeIndex] = value
+      }
+
+      t.IDsToNodeIndexes[ID] = treeIndex
+      t.nodeIndexesToIDs[treeIndex] = ID
+
+      updateParents(key, treeIndex, true, value)
+    } else if (value.isZero()) {
+      const oldValue = t.nodes[treeIndex]
+      t.nodes[treeIndex] = new BN(0)
+
+      t.stack.push(treeIndex)
+
+      delete t.IDsToNodeIndexes[ID]
+      delete t.nodeIndexesToIDs[treeIndex]
+
+      updateParents(key, treeIndex, false, oldValue)
+    } else if (!value.eq(t.nodes[treeIndex])) {
+      const plusOrMinus = t.nodes[treeIndex].lte(value)
+      const plusOrMinusValue = plusOrMinus ? value.sub(t.nodes[treeIndex]) : t.nodes[treeIndex].sub(value)
+      t.nodes[treeIndex] = value
+
+      updateParents(key, treeIndex, plusOrMinus, plusOrMinusValue)
+    }
+  }
+
+  function draw(key, drawnNumber) {
+    const t = tree(key)
+    let treeIndex = 0
+    let currentDrawnNumber = new BN(drawnNumber).mod(t.nodes[0])
+
+    while ((t.K * treeIndex) + 1 < t.nodes.length) {
+      for (let i = 1; i <= t.K; i++) {
+        const nodeIndex = (t.K * treeIndex) + i
+        const nodeValue = t.nodes[nodeIndex]
+
+        if (currentDrawnNumber.gte(nodeValue)) {
+          currentDrawnNumber = currentDrawnNumber.sub(nodeValue)
+        } else {
+          treeIndex = nodeIndex
+          break
+        }
+      }
+    }
+
+    return t.nodeIndexesToIDs[treeIndex]
+  }
+
+  function stakeOf(key, ID) {
+    const t = trees[key]
+    const treeIndex = t ? (t.IDsToNodeIndexes[ID] || 0) : 0
+    return treeIndex === 0 ? new BN(0) : t.nodes[treeIndex]
+  }
+
+  function total(key) {
+    const t = trees[key]
+    if (!t || t.nodes.length === 0) {
+      return new BN(0)
+    }
+    return t.nodes[0]
+  }
+
+  return {
+    createTree,
+    set,
+    draw,
+    stakeOf,
+    total
+  }
+}
+
+module.exports = {
+  createSortitionSumTrees
+}
@@ -0,0 +1,136 @@
+/**
+ * Compares storage layouts in the format the OpenZeppelin network files record them: { storage, types }.
+ */
+
+// deprecated variables keep their slot under a new name, like DrawManager.State.__deprecated__committedSupply
+const DEPRECATED_PREFIX = '__deprecated__'
+
+function variableName(variable) {
+  return variable.contract ? `${variable.contract}.${variable.label}` : variable.label
+}
+
+function createComparison(original, updated) {
+  const errors = []
+  const changes = []
+
+  const error = (kind, variable, message) => errors.push({ kind, variable, message })
+  const change = (kind, variable, message) => changes.push({ kind, variable, message })
+
+  function typeLabel(types, id) {
+    return types[id] ? types[id].label : id
+  }
+
+  /**
+   * Compares variables slot by slot.  Variables can only be added after the existing ones, and only where nothing is
+   * stored after them: at the end of a contract's storage or in a struct that is a mapping value.  Array elements are
+   * stored back to back, so a struct that is one cannot grow without shifting the elements after it.
+   */
+  function compareVariables(originalVariables, updatedVariables, path, canGrow) {
+    const originalNames = originalVariables.map(variableName)
+    const updatedNames = updatedVariables.map(variableName)
+
+    for (let i = 0; i < originalVariables.length; i++) {
+      const originalName = originalNames[i]
+      const name = `${path}${originalName}`
+
+      if (i >= updatedVariables.length) {
+        error('removed', name, `${name} was removed`)
+        continue
+      }
+
+      const updatedName = updatedNames[i]
+      if (updatedName !== originalName) {
+        // an insertion or removal shifts every slot after it, so the rest of the variables are not compared
+        if (updatedNames.indexOf(originalName) !== -1) {
+          if (originalNames.indexOf(updatedName) === -1) {
+            error('inserted', `${path}${updatedName}`, `${path}${updatedName} was inserted before ${name}, shifting the slots after it`)
+            return
+          }
+          error('reordered', name, `${name} moved from position ${i} to ${updatedNames.indexOf(originalName)}`)
+          continue
+        }
+        if (originalNames.indexOf(updatedName) !== -1) {
+          error('removed', name, `${name} was removed, shifting the slots after it`)
+          return
+        }
+        const deprecated = updatedVariables[i].label === `${DEPRECATED_PREFIX}${originalVariables[i].label}`
+        change(deprecated ? 'deprecated' : 'renamed', name, `${name} was renamed to ${path}${updatedName}`)
+      }
+
+      compareTypes(originalVariables[i].type, updatedVariables[i].type, name, false)
+    }
+
+    for (let i = originalVariables.length; i < updatedVariables.length; i++) {
+      const name = `${path}${updatedNames[i]}`
+      if (canGrow) {
+        change('appended', name, `${name} was added`)
+      } else {
+        error('inserted', name, `${name} was added in the middle of storage, shifting the slots after it`)
+      }
+    }
+  }
+
+  function compareTypes(originalId, updatedId, name, canGrow) {
+    const originalType = original.types[originalId]
+    const updatedType = updated.types[updatedId]
+    const retyped = () => error('retyped', name, `${name} changed type from ${typeLabel(original.types, originalId)} to ${typeLabel(updated.types, updatedId)}`)
+
+    if (!originalType || !updatedType || originalType.kind !== updatedType.kind) {
+      if (originalId !== updatedId) {
+        retyped()
+      }
+      return
+    }
+
+    switch (originalType.kind) {
+      case 'struct':
+        compareVariables(originalType.members, updatedType.members, `${name}.`, canGrow)
+        break
+      case 'mapping':
+        compareTypes(originalType.valueType, updatedType.valueType, `${name}[]`, true)
+        break
+      case 'array':
+        if (originalType.length !== updatedType.length) {
+          retyped()
+        } else {
+          compareTypes(originalType.valueType, updatedType.valueType, `${name}[]`, false)
+        }
+        break
+      case 'enum':
+        // values can only be added after the existing ones
+        if (originalType.members.some((member, i) => updatedType.members[i] !== member)) {
+          retyped()
+        }
+        break
+      default:
+        if (originalId !== updatedId) {
+          retyped()
+        }
+    }
+  }
+
+  return {
+    compareVariables,
+    errors,
+    changes
+  }
+}
+
+/**
+ * Lists what an upgrade from the original to the updated layout changes in storage.
+ * @return The errors that make the upgrade unsafe, as { kind, variable, message } where kind is one of removed, inserted,
+ * reordered or retyped, and the changes that are safe: appended, renamed and deprecated variables
+ */
+function compareStorageLayouts(original, updated) {
+  const comparison = createComparison(original, updated)
+  comparison.compareVariables(original.storage, updated.storage, '', true)
+
+  return {
+    errors: comparison.errors,
+    changes: comparison.changes
+  }
+}
+
+module.exports = {
+  compareStorageLayouts
+}
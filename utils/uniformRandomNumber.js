@@ -0,0 +1,52 @@
+const BN = require('bn.js')
+const ethers = require('ethers')
+
+const TWO_POW_256 = new BN(1).shln(256)
+
+// accepts BNs, ethers BigNumbers, and decimal or hex strings, as a uint256
+function toBN(value) {
+  let result
+  if (BN.isBN(value)) {
+    result = value
+  } else {
+    value = value.toString()
+    result = value.startsWith('0x') ? new BN(value.slice(2), 16) : new BN(value, 10)
+  }
+  if (result.isNeg() || result.gte(TWO_POW_256)) {
+    throw new Error(`${value.toString()} is not a uint256`)
+  }
+  return result
+}
+
+/**
+ * The entropy below which uniform rehashes, i.e. -upperBound % upperBound in uint256 arithmetic.  Values from here up to
+ * the max uint256 are a whole number of multiples of the upper bound, so taking the modulo of them has no bias.
+ */
+function minimum(upperBound) {
+  upperBound = toBN(upperBound)
+  if (upperBound.isZero()) {
+    throw new Error('UniformRand/min-bound')
+  }
+  return TWO_POW_256.sub(upperBound).mod(upperBound)
+}
+
+/**
+ * Selects a random number less than the upper bound without modulo bias, exactly as UniformRandomNumber.uniform does.
+ * @param entropy The seed for randomness, as a BN, decimal string or hex string
+ * @param upperBound The upper bound of the desired number
+ * @return A BN less than the upper bound
+ */
+function uniform(entropy, upperBound) {
+  upperBound = toBN(upperBound)
+  const min = minimum(upperBound)
+  let random = toBN(entropy)
+  while (random.lt(min)) {
+    random = toBN(ethers.utils.solidityKeccak256(['uint256'], [random.toString()]))
+  }
+  return random.mod(upperBound)
+}
+
+module.exports = {
+  minimum,
+  uniform
+}